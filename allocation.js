@@ -0,0 +1,730 @@
+// allocation.js: 自動割り当て (参加者を車に載せる・入れ替えで整える・駐車場へ振り分ける) と、割り当て案のスコア
+// 入力はマスターデータ (家族・車・同乗ルール・乗車場所・参加者の項目・会場) と、行程ごとの選択 (状態ファイルの形)。
+// index.html と Node のコマンド (cli.mjs) で共通に使う。DB や画面には触れない。
+
+import { validateDriverChoice } from './drivers.js';
+import { getSeatPlan, countSeatShortage } from './seats.js';
+import { assignParkingLots } from './parking.js';
+import { findVenueByName } from './venues.js';
+import { hasLatLng, planCarPickups } from './pickups.js';
+import { DEFAULT_ATTRIBUTES, normalizeAttributeValue, getAttributeMatches, scoreAttributeMatches } from './attributes.js';
+
+// 別便 (配車対象外のメンバー) をまとめる車の ID
+export const EXCLUDED_CAR_ID = 'excluded-car';
+
+/**
+ * 割り当て案のスコアの重み
+ * isolated: 同乗優先メンバーが1人だけの車 / violation: 同乗ルール違反 (最適化で破られないよう大きく減点する)
+ * stablePair: 前の行程でも同じ車だった2人の組 / detourKm: 乗車場所を回る遠回り (1km ごと)
+ */
+export const SCORE_WEIGHTS = { isolated: 3, violation: 100, stablePair: 2, detourKm: 1 };
+
+const TYPE_PRIORITY = { '保護者': 1, '兄弟': 2, '選手': 3, 'その他': 4 }; // ドライバーの家族を載せる順
+
+/**
+ * シード付き乱数 (mulberry32)。同じシードからは常に同じ乱数列を返します。
+ * @param {number} seed
+ * @returns {function(): number} 0 以上 1 未満の数を返す関数
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 共有しやすい6桁のシードを作ります。
+ * @returns {number}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * 割り当て・スコア計算で使うマスターデータをまとめます。
+ * @param {Object} values
+ * @param {Array} [values.constraints] - 同乗ルール
+ * @param {Array} [values.attributes] - 参加者の項目 (無ければ学年・学校・その他)
+ * @param {Array|Map} [values.pickupPoints] - 乗車場所の配列 (または 乗車場所ID -> 乗車場所)
+ * @param {Array} [values.venues] - 会場の一覧 (乗車場所を回る順番の目的地を探す)
+ * @param {string} [values.groundName] - 行程のグラウンド名
+ * @returns {{ constraints: Array, attributes: Array, pickupPoints: Map<string, Object>, destination: Object|null }}
+ *   destination: 緯度・経度を登録した会場 (無ければ null)
+ */
+export function createAllocationContext({ constraints = [], attributes = DEFAULT_ATTRIBUTES, pickupPoints = [], venues = [], groundName = '' } = {}) {
+  const venue = findVenueByName(venues, groundName);
+  return {
+    constraints,
+    attributes,
+    pickupPoints: pickupPoints instanceof Map ? pickupPoints : new Map(pickupPoints.map(point => [point.id, point])),
+    destination: hasLatLng(venue) ? venue : null
+  };
+}
+
+/**
+ * 参加者の項目の値 (その回に入力した値。無ければマスターの値)。
+ * @param {Object} member - マスターデータの参加者
+ * @param {Object|undefined} data - その回に入力した値 (participantData の値)
+ * @param {Array} attributes - 項目の一覧
+ * @returns {Object} 項目のキー -> 値
+ */
+export function readParticipantAttributes(member, data, attributes) {
+  const currentData = data || {};
+  const masterData = member.data || {};
+  return Object.fromEntries(attributes.map(attribute => [
+    attribute.key,
+    normalizeAttributeValue(attribute, currentData[attribute.key] !== undefined ? currentData[attribute.key] : masterData[attribute.key])
+  ]));
+}
+
+/**
+ * 行程の選択 (ステップ1〜4) を検証し、割り当てに必要なデータを組み立てます。
+ * Set / Map のほか、状態ファイルの形 (配列・[キー, 値] の配列) も受け付けます。
+ * @param {{ families: Array, cars: Array, attributes?: Array }} master - マスターデータ
+ * @param {Object} selection
+ * @param {Iterable<string>} selection.selectedParticipantIds - 参加者ID
+ * @param {Iterable} [selection.participantData] - 参加者ID -> { memo, [項目のキー]: 値 }
+ * @param {Iterable<string>} selection.selectedCarIds - 車ID
+ * @param {Iterable} selection.selectedDrivers - 車ID -> ドライバーの参加者ID
+ * @param {Iterable} [selection.selectedLuggage] - 車ID -> 荷物を積むときの設定名
+ * @param {Iterable<string>} [selection.excludedParticipantIds] - 別便の参加者ID
+ * @param {{ lots: Array }} [selection.parkingInfo] - 駐車場
+ * @param {Array|null} [previousAssignments] - 前の行程の割り当て結果 (同じ組み合わせを優先する場合)
+ * @returns {{ input: Object|null, errors: Array<string> }} errors が空でなければ input は null (割り当てない)
+ */
+export function prepareAllocation(master, selection, previousAssignments = null) {
+  const attributes = master.attributes || DEFAULT_ATTRIBUTES;
+  const selectedParticipantIds = new Set(selection.selectedParticipantIds || []);
+  const participantData = new Map(selection.participantData || []);
+  const selectedCarIds = new Set(selection.selectedCarIds || []);
+  const selectedDrivers = new Map(selection.selectedDrivers || []);
+  const selectedLuggage = new Map(selection.selectedLuggage || []);
+  const excludedParticipantIds = new Set(selection.excludedParticipantIds || []);
+  const errors = [];
+
+  if (selectedCarIds.size === 0) {
+    errors.push('ステップ2で車を1台以上選択してください。');
+    return { input: null, errors };
+  }
+
+  const allParticipants = master.families.flatMap(family => family.members.map(member => ({ member, familyName: family.familyName })));
+  const participantsWithData = allParticipants
+    .filter(({ member }) => selectedParticipantIds.has(member.id))
+    .map(({ member, familyName }) => {
+      const currentData = participantData.get(member.id) || {};
+      const masterData = member.data || {};
+      return {
+        ...member,
+        attributes: readParticipantAttributes(member, currentData, attributes),
+        memo: currentData.memo !== undefined ? currentData.memo : masterData.memo || '',
+        familyName
+      };
+    });
+
+  // 車の選択順ではなくマスターの順で処理する (同じシードで同じ結果にするため)
+  const driverMap = new Map();
+  const selectedCarsData = [];
+  master.cars.filter(car => selectedCarIds.has(car.id)).forEach(carInfo => {
+    const driverId = selectedDrivers.get(carInfo.id);
+    if (!driverId) {
+      errors.push(`${carInfo.name} のドライバーが選択されていません。`);
+      return;
+    }
+    const driver = participantsWithData.find(p => p.id === driverId);
+    if (!driver) {
+      const masterDriver = allParticipants.find(({ member }) => member.id === driverId);
+      errors.push(masterDriver
+        ? `ドライバー (${masterDriver.member.name}) が参加者に含まれていません。`
+        : `${carInfo.name} のドライバー(ID: ${driverId})が見つかりません。`);
+      return;
+    }
+    if (Array.from(driverMap.values()).some(d => d.id === driverId)) {
+      errors.push(`ドライバー (${driver.name}) が複数の車に割り当てられています。`);
+    }
+    driverMap.set(carInfo.id, driver);
+
+    // マスターの「運転できる」・車の「運転できる人」に合うか
+    const driverError = validateDriverChoice(carInfo, driver);
+    if (driverError) errors.push(driverError);
+
+    // 定員・チャイルドシートは選んだ荷物の設定から求める
+    const seatPlan = getSeatPlan(carInfo, selectedLuggage.get(carInfo.id) ?? null);
+    selectedCarsData.push({ id: carInfo.id, name: carInfo.name, familyName: carInfo.familyName, driverId, ...seatPlan });
+  });
+  if (errors.length > 0) return { input: null, errors };
+
+  const driverIds = new Set(Array.from(driverMap.values()).map(d => d.id));
+  const participantsToAssign = participantsWithData.filter(p => !driverIds.has(p.id) && !excludedParticipantIds.has(p.id));
+  const excludedParticipants = participantsWithData.filter(p => excludedParticipantIds.has(p.id) && !driverIds.has(p.id));
+  const totalCapacity = selectedCarsData.reduce((sum, car) => sum + car.capacity, 0);
+  const warnings = [];
+  if (participantsToAssign.length > totalCapacity) {
+    warnings.push(`定員オーバーです。乗客 ${participantsToAssign.length}人 に対して定員は合計 ${totalCapacity}人 です。`);
+  }
+
+  return {
+    input: {
+      participantsToAssign,
+      excludedParticipants,
+      selectedCarsData,
+      driverMap,
+      lots: selection.parkingInfo?.lots || [],
+      warnings,
+      previousAssignments,
+      previousPairs: previousAssignments ? buildRidePairs(previousAssignments) : null
+    },
+    errors
+  };
+}
+
+/**
+ * 指定シードで割り当てを1案作ります (駐車場・別便の振り分けまで)。同じ入力と同じシードからは常に同じ結果になります。
+ * @param {Object} input - prepareAllocation の input
+ * @param {number} seed
+ * @param {Object} context - createAllocationContext の戻り値
+ * @returns {Array} 割り当て結果 (車の配列。最後が別便)
+ */
+export function runAllocation(input, seed, context) {
+  const random = createRandom(seed);
+  let assignments = allocateParticipants(input.participantsToAssign, input.selectedCarsData, input.driverMap, context, random, input.previousAssignments);
+  assignments = optimizeAssignments(assignments, context, random, input.previousPairs); // 入れ替えで一致度を上げる
+
+  // 荷物車を先に、選手の多い順
+  const players = (car) => car.members.filter(p => p && p.type === '選手').length;
+  assignments.sort((a, b) => (Number(b.hasLuggage) - Number(a.hasLuggage)) || (players(b) - players(a)));
+
+  // 優先順位の高い駐車場から、台数制限と条件 (荷物車専用・家族の限定) を満たすように振り分ける
+  assignParkingLots(assignments, input.lots);
+
+  assignments.push({ id: EXCLUDED_CAR_ID, name: '別便', capacity: 999, baseCapacity: 999, driver: null, members: [...input.excludedParticipants], hasLuggage: false, assignedParking: 'excluded' });
+  return assignments;
+}
+
+/**
+ * 参加者を車に割り当てます。
+ * 「必ず同じ車」で結ばれたメンバーはユニットとしてまとめて配置し、「同じ車にしない」組み合わせは配置候補から除外する。
+ * どうしても満たせない場合は定員を優先して配置し、違反は findConstraintViolations で報告する。
+ * チャイルドシート・ジュニアシートが必要な子は、合う座席が残っている車にだけ載せる (載せられなければ findSeatIssues で報告)。
+ * previousAssignments (前の行程の結果) を渡すと、その組み合わせをできるだけ保つ。
+ * 乗車場所が登録されていれば、ドライバーの通り道の乗車場所の人を同じ車にまとめる (3. の同点・4. の順番)。
+ * @param {Array} participants - 載せる参加者 (ドライバー・別便を除く)
+ * @param {Array} cars - 車 (prepareAllocation の selectedCarsData)
+ * @param {Map<string, Object>} driverMap - 車ID -> ドライバー
+ * @param {Object} context - createAllocationContext の戻り値
+ * @param {function(): number} [random] - 乱数 (createRandom)
+ * @param {Array|null} [previousAssignments] - 前の行程の割り当て結果
+ * @returns {Array} 割り当て結果 (members は定員まで null で埋める)
+ */
+export function allocateParticipants(participants, cars, driverMap, context, random = Math.random, previousAssignments = null) {
+  const assignments = cars.map(car => ({ ...car, driver: driverMap.get(car.id) || null, members: [] }));
+  if (participants.length === 0) return assignments;
+
+  const rules = buildConstraintRules(context.constraints, participants, assignments);
+  const placedIds = new Set();
+  const isPlaced = (p) => placedIds.has(p.id);
+  const unitOf = (p) => (rules.unitOf.get(p.id) || [p]).filter(m => !isPlaced(m));
+  // ルールで行き先が制限されるユニット (複数人 / 固定 / 除外 / 同乗禁止 / チャイルドシートなどが必要)
+  const isRestricted = (unit) => unit.length > 1 || unit.some(p => rules.pinnedCars.has(p.id) || rules.forbiddenCars.has(p.id) || rules.apartPairs.has(p.id) || p.seatNeed);
+
+  // ユニットをその車に載せられるか (定員 + ルール + 子ども用の座席)
+  function canPlace(unit, car, ignoreRules = false) {
+    if (car.members.length + unit.length > car.capacity) return false;
+    if (ignoreRules) return true;
+    if (countSeatShortage([...car.members, ...unit], car) > 0) return false;
+    return unit.every(p => {
+      if (rules.forbiddenCars.get(p.id)?.has(car.id)) return false;
+      const apart = rules.apartPairs.get(p.id);
+      return !apart || !car.members.some(m => m && apart.has(m.id));
+    });
+  }
+  function place(unit, car) {
+    unit.forEach(p => { car.members.push(p); placedIds.add(p.id); });
+  }
+  function unplace(unit, car) {
+    car.members = car.members.filter(m => !unit.includes(m));
+    unit.forEach(p => placedIds.delete(p.id));
+  }
+
+  const unitScore = (unit, car) => unit.reduce((sum, p) => sum + car.members.reduce((score, member) => score + getFlagMatchScore(p, member, context.attributes), 0), 0);
+
+  // 0. 車やドライバーに固定されたユニットを先に配置
+  rules.units.forEach(unit => {
+    const pinnedCarId = unit.map(p => rules.pinnedCars.get(p.id)).find(Boolean);
+    const car = pinnedCarId && assignments.find(c => c.id === pinnedCarId);
+    if (car && canPlace(unit, car)) place(unit, car);
+  });
+
+  // 1. ドライバーの家族を優先 (保護者 > 兄弟 > 選手)。ルールで制限されるメンバーは 2. で扱う
+  // 他の家族の車を借りた場合も、ドライバーの家族をその車へ
+  assignments.forEach(car => {
+    if (!car.driver || !car.driver.familyName) return;
+    participants
+      .filter(p => p.familyName === car.driver.familyName && !isPlaced(p))
+      .sort((a, b) => (TYPE_PRIORITY[a.type] || 9) - (TYPE_PRIORITY[b.type] || 9))
+      .forEach(member => {
+        const unit = unitOf(member);
+        if (isRestricted(unit)) return;
+        if (canPlace(unit, car)) place(unit, car);
+      });
+  });
+
+  // 前の行程で同じ車だったメンバーを、同じ車 (無ければ空きの多い車) へまとめて配置
+  (previousAssignments || []).filter(prev => prev.id !== EXCLUDED_CAR_ID).forEach(prev => {
+    const group = [prev.driver, ...prev.members]
+      .map(p => p && participants.find(q => q.id === p.id))
+      .filter(p => p && !isPlaced(p) && !isRestricted(unitOf(p)));
+    if (group.length === 0) return;
+    const sameCar = assignments.find(car => car.id === prev.id);
+    const target = (sameCar && canPlace(group, sameCar)) ? sameCar : assignments
+      .filter(car => canPlace(group, car))
+      .sort((a, b) => (b.capacity - b.members.length) - (a.capacity - a.members.length))[0];
+    if (target) { place(group, target); return; }
+    // まとめて載らない場合は、同じ車に載る分だけ (残りは 3. 以降で配置)
+    if (sameCar) group.forEach(p => { if (canPlace([p], sameCar)) place([p], sameCar); });
+  });
+
+  const remainingUnits = [];
+  participants.filter(p => !isPlaced(p)).forEach(p => {
+    if (remainingUnits.some(unit => unit.includes(p))) return;
+    remainingUnits.push(unitOf(p));
+  });
+
+  // 2. 制限のあるユニットは、すべてのルールを満たす組み合わせを探索して配置
+  placeRestrictedUnits(remainingUnits.filter(isRestricted));
+
+  // 3. 同乗優先メンバーを、一致度が最も高い車へ
+  const hasFlagTarget = (unit) => unit.some(p => p.isFlagTarget);
+  // 順序をシャッフルしてから同乗優先を先頭へ (安定ソート)
+  const unitsToProcess = shuffle(remainingUnits.filter(unit => !unit.some(isPlaced)), random)
+    .sort((a, b) => (hasFlagTarget(a) !== hasFlagTarget(b)) ? (hasFlagTarget(a) ? -1 : 1) : 0);
+
+  const stillRemaining = [];
+  unitsToProcess.forEach(unit => {
+    let bestCarCandidates = [];
+    let maxScore = 0;
+    assignments.forEach(car => {
+      if (!canPlace(unit, car)) return;
+      const currentCarScore = unitScore(unit, car);
+      if (currentCarScore > maxScore) { maxScore = currentCarScore; bestCarCandidates = [car]; }
+      else if (currentCarScore > 0 && currentCarScore === maxScore) { bestCarCandidates.push(car); }
+    });
+    if (bestCarCandidates.length > 0) {
+      // 一致度が同じなら、遠回りが少ない (乗車場所が通り道の) 車から選ぶ
+      const detours = bestCarCandidates.map(car => addedDetourKm(unit, car, context));
+      bestCarCandidates = bestCarCandidates.filter((car, i) => detours[i] === Math.min(...detours));
+      place(unit, bestCarCandidates[Math.floor(random() * bestCarCandidates.length)]);
+    } else {
+      stillRemaining.push(unit);
+    }
+  });
+
+  // 4. 残りは空きの多い車から順に (乗車場所がある人は、遠回りが少ない車を先に / 分ける項目が一致する人のいる車は後に)
+  const pickCarWithMostVacancy = (unit, ignoreRules) => assignments
+    .filter(car => canPlace(unit, car, ignoreRules))
+    .map(car => ({ car, apart: Math.min(0, unitScore(unit, car)), detour: addedDetourKm(unit, car, context) }))
+    .sort((a, b) => (b.apart - a.apart) || (a.detour - b.detour) || ((b.car.capacity - b.car.members.length) - (a.car.capacity - a.car.members.length)))[0]?.car;
+  stillRemaining.forEach(unit => {
+    const car = pickCarWithMostVacancy(unit, false);
+    if (car) { place(unit, car); return; }
+    // ユニットのままでは載らない -> 1人ずつ。ルールを守れない場合は定員を優先 (違反は後で報告)
+    unit.forEach(p => {
+      const target = pickCarWithMostVacancy([p], false) || pickCarWithMostVacancy([p], true);
+      if (target) place([p], target);
+    });
+  });
+
+  // 制限のあるユニットを深さ優先で配置する。候補の少ないユニットから試し、見つからなければ何も配置しない
+  function placeRestrictedUnits(units) {
+    const rankCars = (unit) => assignments
+      .filter(car => canPlace(unit, car))
+      .map(car => {
+        const pinned = unit.some(p => rules.pinnedCars.get(p.id) === car.id);
+        const family = car.driver && unit.some(p => p.familyName && p.familyName === car.driver.familyName);
+        return { car, rank: (pinned ? 1000 : 0) + (family ? 100 : 0) + unitScore(unit, car) + random() };
+      })
+      .sort((a, b) => b.rank - a.rank)
+      .map(c => c.car);
+    const queue = units
+      .map(unit => ({ unit, cars: rankCars(unit) }))
+      .filter(entry => entry.cars.length > 0) // 最初から載せられないユニットは 4. の救済へ
+      .sort((a, b) => a.cars.length - b.cars.length);
+
+    let budget = 20000; // 探索打ち切り (人数が多い場合の保険)
+    function search(i) {
+      if (i === queue.length) return true;
+      if (--budget < 0) return false;
+      const { unit, cars } = queue[i];
+      for (const car of cars) {
+        if (!canPlace(unit, car)) continue;
+        place(unit, car);
+        if (search(i + 1)) return true;
+        unplace(unit, car);
+      }
+      return false;
+    }
+    return search(0);
+  }
+
+  assignments.forEach(car => {
+    car.members = car.members.filter(p => p !== null);
+    while (car.members.length < car.capacity) {
+      car.members.push(null);
+    }
+  });
+
+  return assignments;
+}
+
+/**
+ * 席の入れ替えによる最適化 (焼きなまし法)。
+ * 貪欲法の結果を出発点に、別の車の乗客同士の入れ替え・空席への移動をランダムに試し、scorePlan が最大の案を残す。
+ * ドライバーと、ドライバーの家族として同乗しているメンバーは動かさない。移動先は既存の席なので定員は常に守られる。
+ * @param {Array} assignments - 割り当て結果 (変更される)
+ * @param {Object} context - createAllocationContext の戻り値
+ * @param {function(): number} random - 乱数 (createRandom)
+ * @param {Set<string>|null} [previousPairs] - 前の行程で同じ車だった2人の組 (buildRidePairs)
+ * @param {number} [iterations] - 試す回数
+ * @returns {Array} assignments
+ */
+export function optimizeAssignments(assignments, context, random, previousPairs = null, iterations = 3000) {
+  const cars = assignments.filter(car => car.id !== EXCLUDED_CAR_ID && car.members.length > 0);
+  if (cars.length < 2) return assignments;
+
+  const isFixed = (car, p) => !!(p && car.driver && p.familyName && p.familyName === car.driver.familyName);
+  const snapshot = () => cars.map(car => [...car.members]);
+  let current = scorePlan(cars, context, previousPairs).total;
+  let best = current;
+  let bestSnapshot = snapshot();
+
+  const startTemperature = 2.0;
+  const endTemperature = 0.05;
+  const cooling = Math.pow(endTemperature / startTemperature, 1 / iterations);
+  let temperature = startTemperature;
+
+  for (let i = 0; i < iterations; i++, temperature *= cooling) {
+    const carA = cars[Math.floor(random() * cars.length)];
+    const carB = cars[Math.floor(random() * cars.length)];
+    if (carA === carB) continue;
+    const slotA = Math.floor(random() * carA.members.length);
+    const slotB = Math.floor(random() * carB.members.length);
+    const pA = carA.members[slotA];
+    const pB = carB.members[slotB];
+    if ((!pA && !pB) || isFixed(carA, pA) || isFixed(carB, pB)) continue;
+
+    const seatShortage = () => countSeatShortage(carA.members, carA) + countSeatShortage(carB.members, carB);
+    const shortageBefore = seatShortage();
+    carA.members[slotA] = pB;
+    carB.members[slotB] = pA;
+    if (seatShortage() > shortageBefore) { // 子ども用の座席が足りなくなる入れ替えはしない
+      carA.members[slotA] = pA;
+      carB.members[slotB] = pB;
+      continue;
+    }
+    const next = scorePlan(cars, context, previousPairs).total;
+    const delta = next - current;
+    if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+      current = next;
+      if (current > best) {
+        best = current;
+        bestSnapshot = snapshot();
+      }
+    } else {
+      carA.members[slotA] = pA; // 元に戻す
+      carB.members[slotB] = pB;
+    }
+  }
+
+  // 最良の案に戻し、空席を後ろへ詰める
+  cars.forEach((car, i) => {
+    const members = bestSnapshot[i].filter(p => p !== null);
+    while (members.length < car.capacity) members.push(null);
+    car.members = members;
+  });
+  return assignments;
+}
+
+/**
+ * 割り当て案の評価。
+ * affinity: 同じ車の同乗優先メンバー同士で一致した項目の重みの合計 / isolated: 同乗優先メンバーが1人だけの車の数 /
+ * violations: 同乗ルール違反数 / stable: 前の行程でも同じ車だった2人の組の数 (previousPairs を渡したときだけ) /
+ * detourKm: ドライバーの乗車場所から同乗者の乗車場所を回って会場へ行くときの遠回りの合計 (km)
+ * @param {Array} assignments - 割り当て結果
+ * @param {Object} context - createAllocationContext の戻り値
+ * @param {Set<string>|null} [previousPairs] - 前の行程で同じ車だった2人の組 (buildRidePairs)
+ * @returns {{ affinity: number, isolated: number, violations: number, stable: number, detourKm: number, total: number }}
+ */
+export function scorePlan(assignments, context, previousPairs = null) {
+  let affinity = 0;
+  let isolated = 0;
+  let stable = 0;
+  let detourKm = 0;
+  assignments.filter(car => car.id !== EXCLUDED_CAR_ID).forEach(car => {
+    const carScore = scoreCar(car, context);
+    affinity += carScore.affinity;
+    isolated += carScore.isolated;
+    detourKm += carScore.detourKm;
+    if (previousPairs) stable += countPreviousPairs(car, previousPairs);
+  });
+  const violations = evaluateConstraints(assignments, context.constraints).length;
+  const total = affinity - isolated * SCORE_WEIGHTS.isolated - violations * SCORE_WEIGHTS.violation + stable * SCORE_WEIGHTS.stablePair - detourKm * SCORE_WEIGHTS.detourKm;
+  return { affinity, isolated, violations, stable, detourKm: roundKm(detourKm), total: roundKm(total) };
+}
+
+/**
+ * 1台分のスコア (乗車場所を回る遠回りの距離も減点する)。
+ * @param {Object} car - 割り当て結果の車
+ * @param {Object} context - createAllocationContext の戻り値
+ * @returns {{ affinity: number, isolated: number, detourKm: number, total: number }}
+ */
+export function scoreCar(car, context) {
+  const riders = [car.driver, ...car.members].filter(Boolean);
+  let affinity = 0;
+  riders.forEach((pA, i) => riders.slice(i + 1).forEach(pB => { affinity += getFlagMatchScore(pA, pB, context.attributes); }));
+  const isolated = riders.filter(p => p.isFlagTarget).length === 1 ? 1 : 0;
+  const detourKm = context.pickupPoints.size > 0 ? planPickups(car, context).detourKm : 0;
+  return { affinity, isolated, detourKm, total: roundKm(affinity - isolated * SCORE_WEIGHTS.isolated - detourKm * SCORE_WEIGHTS.detourKm) };
+}
+
+/**
+ * 車のスコア内訳と、各メンバーがその車になった理由 (ステップ6の表示用)。
+ * @param {Object} car - 割り当て結果の車
+ * @param {Object} context - createAllocationContext の戻り値
+ * @param {Set<string>|null} [previousPairs] - 前の行程で同じ車だった2人の組 (buildRidePairs)
+ * @returns {{ affinity: number, isolated: number, detourKm: number, total: number, reasons: Map<string, Array<string>> }}
+ *   reasons: 参加者ID -> 理由の配列
+ */
+export function explainCar(car, context, previousPairs = null) {
+  const riders = [car.driver, ...car.members].filter(Boolean);
+  const reasons = new Map();
+  car.members.filter(Boolean).forEach(p => {
+    const lines = [];
+    if (car.driver && p.familyName && p.familyName === car.driver.familyName) lines.push('ドライバーの家族');
+    // 参加者の項目ごと (分ける項目の一致は減点の理由として表示)
+    context.attributes.forEach(attribute => {
+      const names = riders.filter(other => other !== p && getFlagMatches(p, other, context.attributes).includes(attribute)).map(other => other.name);
+      if (names.length > 0) lines.push(`${attribute.label}${attribute.weight > 0 ? '一致' : 'が同じ (分けたい)'}: ${names.join('・')}`);
+    });
+    context.constraints.filter(rule => rule.type === 'together' && (rule.subjectId === p.id || rule.targetId === p.id)).forEach(rule => {
+      if (rule.targetType === 'car') {
+        if (rule.targetId === car.id) lines.push('同乗ルール: この車に乗る');
+        return;
+      }
+      const partnerId = rule.subjectId === p.id ? rule.targetId : rule.subjectId;
+      const partner = riders.find(other => other.id === partnerId);
+      if (partner) lines.push(`同乗ルール: ${partner.name}と同じ車`);
+    });
+    if (previousPairs) {
+      const names = riders.filter(other => other !== p && previousPairs.has([p.id, other.id].sort().join('|'))).map(other => other.name);
+      if (names.length > 0) lines.push(`前の行程でも同乗: ${names.join('・')}`);
+    }
+    // 同じ乗車場所の人
+    const point = p.pickupPointId && context.pickupPoints.get(p.pickupPointId);
+    if (point) {
+      const names = riders.filter(other => other !== p && other.pickupPointId === point.id).map(other => other.name);
+      if (names.length > 0) lines.push(`乗車場所 (${point.name}) が同じ: ${names.join('・')}`);
+    }
+    if (lines.length === 0 && p.isFlagTarget) lines.push('一致なし (空席に配置)');
+    reasons.set(p.id, lines);
+  });
+  return { ...scoreCar(car, context), reasons };
+}
+
+/**
+ * 車の乗車場所を回る順番と遠回りの距離。
+ * @param {Object} car - 割り当て結果の車
+ * @param {Object} context - createAllocationContext の戻り値
+ * @returns {{ stops: Array<{ point: Object, riders: Array }>, detourKm: number }}
+ */
+export function planPickups(car, context) {
+  return planCarPickups(car, context.pickupPoints, context.destination);
+}
+
+/**
+ * 距離を 0.1km 単位に丸めます。
+ * @param {number} km
+ * @returns {number}
+ */
+export function roundKm(km) {
+  return Math.round(km * 10) / 10;
+}
+
+/**
+ * 同じ車に乗った2人の組 ("idA|idB", IDの昇順) の集合。別便は対象外。
+ * @param {Array} assignments - 割り当て結果
+ * @returns {Set<string>}
+ */
+export function buildRidePairs(assignments) {
+  const pairs = new Set();
+  assignments.filter(car => car.id !== EXCLUDED_CAR_ID).forEach(car => {
+    const ids = [car.driver, ...car.members].filter(Boolean).map(p => p.id).sort();
+    ids.forEach((a, i) => ids.slice(i + 1).forEach(b => pairs.add(`${a}|${b}`)));
+  });
+  return pairs;
+}
+
+/**
+ * 割り当て結果の参加者の項目の値 (以前の割り当て結果は学年・学校・その他を直接持つ)。
+ * @param {Object} p - 割り当て結果の参加者
+ * @returns {Object} 項目のキー -> 値
+ */
+export function attributeValuesOf(p) {
+  return p.attributes || p;
+}
+
+/**
+ * 同乗ルールの違反 (自動割り当て後・手動調整後の確認用)。
+ * 参加していないメンバーのルールは対象外。別便どうしは「同じ車」とはみなさない。
+ * @param {Array} assignments - 割り当て結果
+ * @param {Array} constraints - 同乗ルール
+ * @returns {Array<{ rule: Object, subjectCar: Object, targetCar?: Object }>}
+ */
+export function evaluateConstraints(assignments, constraints) {
+  const carOf = new Map(); // participantId -> car
+  assignments.forEach(car => {
+    if (car.driver) carOf.set(car.driver.id, car);
+    car.members.forEach(p => { if (p) carOf.set(p.id, car); });
+  });
+
+  const violations = [];
+  constraints.forEach(rule => {
+    const subjectCar = carOf.get(rule.subjectId);
+    if (!subjectCar) return;
+
+    if (rule.targetType === 'car') {
+      const inCar = subjectCar.id === rule.targetId;
+      if ((rule.type === 'together' && !inCar) || (rule.type === 'apart' && inCar)) {
+        violations.push({ rule, subjectCar });
+      }
+      return;
+    }
+
+    const targetCar = carOf.get(rule.targetId);
+    if (!targetCar) return;
+    if ((rule.type === 'together' && subjectCar.id !== targetCar.id) ||
+      (rule.type === 'apart' && subjectCar.id === targetCar.id && subjectCar.id !== EXCLUDED_CAR_ID)) {
+      violations.push({ rule, subjectCar, targetCar });
+    }
+  });
+  return violations;
+}
+
+/**
+ * 満たせなかった同乗ルールの一覧 (警告用の文)。
+ * @param {Array} assignments - 割り当て結果
+ * @param {Array} constraints - 同乗ルール
+ * @param {Array} [cars] - マスターデータの車 (選んでいない車の名前を表示するため)
+ * @returns {Array<string>}
+ */
+export function findConstraintViolations(assignments, constraints, cars = []) {
+  const people = new Map();
+  assignments.forEach(car => [car.driver, ...car.members].forEach(p => { if (p) people.set(p.id, p); }));
+  const nameOf = (id) => people.get(id)?.name || id;
+  const carNameOf = (id) => (cars.find(c => c.id === id) || assignments.find(c => c.id === id))?.name || id;
+
+  return evaluateConstraints(assignments, constraints).map(({ rule, subjectCar, targetCar }) => {
+    const memo = rule.memo ? ` (${rule.memo})` : '';
+    if (rule.targetType === 'car') {
+      return rule.type === 'together'
+        ? `${nameOf(rule.subjectId)} は ${carNameOf(rule.targetId)} に乗る設定ですが、${subjectCar.name} になっています${memo}。`
+        : `${nameOf(rule.subjectId)} は ${carNameOf(rule.targetId)} に乗せない設定です${memo}。`;
+    }
+    return rule.type === 'together'
+      ? `${nameOf(rule.subjectId)} と ${nameOf(rule.targetId)} は同じ車の設定ですが、別々になっています (${subjectCar.name} / ${targetCar.name})${memo}。`
+      : `${nameOf(rule.subjectId)} と ${nameOf(rule.targetId)} は同じ車にしない設定ですが、${subjectCar.name} に同乗しています${memo}。`;
+  });
+}
+
+// --- 内部 ---
+
+// 同乗優先メンバー同士の一致の点数 (一致した項目の重みの合計。分ける項目はマイナス)
+function getFlagMatchScore(pA, pB, attributes) {
+  if (!pA || !pB || !pA.isFlagTarget || !pB.isFlagTarget) return 0;
+  return scoreAttributeMatches(attributeValuesOf(pA), attributeValuesOf(pB), attributes);
+}
+
+// 一致した項目の一覧 (スコアの内訳表示用)
+function getFlagMatches(pA, pB, attributes) {
+  if (!pA || !pB || !pA.isFlagTarget || !pB.isFlagTarget) return [];
+  return getAttributeMatches(attributeValuesOf(pA), attributeValuesOf(pB), attributes);
+}
+
+// unit を載せると増える遠回りの距離 (km、1km 単位。乗車場所が無ければ 0)
+function addedDetourKm(unit, car, context) {
+  if (context.pickupPoints.size === 0 || !unit.some(p => p.pickupPointId)) return 0;
+  const before = planPickups(car, context).detourKm;
+  const after = planPickups({ ...car, members: [...car.members, ...unit] }, context).detourKm;
+  return Math.round(after - before);
+}
+
+function countPreviousPairs(car, previousPairs) {
+  const ids = [car.driver, ...car.members].filter(Boolean).map(p => p.id).sort();
+  let count = 0;
+  ids.forEach((a, i) => ids.slice(i + 1).forEach(b => { if (previousPairs.has(`${a}|${b}`)) count++; }));
+  return count;
+}
+
+// 配列をシャッフルした新しい配列を返す (Fisher-Yates)
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// 同乗ルールを割り当て用の参照構造に変換
+// units: 「必ず同じ車」で結ばれた参加者のグループ / pinnedCars: 参加者ID -> 乗るべき車ID
+// forbiddenCars: 参加者ID -> 乗せない車IDのSet / apartPairs: 参加者ID -> 同乗させない参加者IDのSet
+function buildConstraintRules(constraints, participants, assignments) {
+  const poolIds = new Set(participants.map(p => p.id));
+  const driverCarIds = new Map(assignments.filter(c => c.driver).map(c => [c.driver.id, c.id]));
+  const pinnedCars = new Map();
+  const forbiddenCars = new Map();
+  const apartPairs = new Map();
+  const addTo = (map, key, value) => { if (!map.has(key)) map.set(key, new Set()); map.get(key).add(value); };
+
+  // Union-Find で「必ず同じ車」のグループを作る
+  const parent = new Map(participants.map(p => [p.id, p.id]));
+  const find = (id) => { while (parent.get(id) !== id) id = parent.get(id); return id; };
+
+  constraints.forEach(rule => {
+    const { subjectId, targetId } = rule;
+    if (rule.targetType === 'car') {
+      if (!poolIds.has(subjectId)) return;
+      if (rule.type === 'together') { if (!pinnedCars.has(subjectId)) pinnedCars.set(subjectId, targetId); }
+      else addTo(forbiddenCars, subjectId, targetId);
+      return;
+    }
+    // メンバー同士: 片方がドライバーなら、その車への固定/除外に置き換える
+    [[subjectId, targetId], [targetId, subjectId]].forEach(([passengerId, otherId]) => {
+      if (!poolIds.has(passengerId) || !driverCarIds.has(otherId)) return;
+      if (rule.type === 'together') { if (!pinnedCars.has(passengerId)) pinnedCars.set(passengerId, driverCarIds.get(otherId)); }
+      else addTo(forbiddenCars, passengerId, driverCarIds.get(otherId));
+    });
+    if (!poolIds.has(subjectId) || !poolIds.has(targetId)) return;
+    if (rule.type === 'together') {
+      parent.set(find(subjectId), find(targetId));
+    } else {
+      addTo(apartPairs, subjectId, targetId);
+      addTo(apartPairs, targetId, subjectId);
+    }
+  });
+
+  const groups = new Map();
+  participants.forEach(p => {
+    const root = find(p.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(p);
+  });
+  const units = Array.from(groups.values());
+  const unitOf = new Map();
+  units.forEach(unit => unit.forEach(p => unitOf.set(p.id, unit)));
+
+  return { units, unitOf, pinnedCars, forbiddenCars, apartPairs };
+}
@@ -0,0 +1,216 @@
+// attributes.js: 参加者の項目 (学年・学校など) と、割り当てでの重み
+// 項目はチームで決めた一覧 { key, label, type, options, weight, order } で、参加者 (家族のメンバー) は data[key] に値を持つ。
+// 重みが正の項目は同じ値の人を同じ車に集め、負の項目は別の車に分ける (0 は割り当てに使わない)。
+// 一致を数えるのは同乗優先の参加者どうしのみ (呼び出し側で判断する)。DB や画面には触れない。
+
+/**
+ * 項目の種類
+ */
+export const ATTRIBUTE_TYPES = [
+  { value: 'text', label: '文字' },
+  { value: 'select', label: '選択肢' },
+  { value: 'number', label: '数値' },
+  { value: 'boolean', label: 'はい・いいえ' }
+];
+
+/**
+ * 以前から使っていた3項目 (それぞれ1点)。項目の一覧が無いデータはこの一覧とみなす。
+ * updatedAt を 0 にしておくと、各端末で作られても同期で違いにならない
+ */
+export const DEFAULT_ATTRIBUTES = [
+  { key: 'grade', label: '学年', type: 'text', options: [], weight: 1, order: 0, updatedAt: 0 },
+  { key: 'school', label: '学校', type: 'text', options: [], weight: 1, order: 1, updatedAt: 0 },
+  { key: 'other', label: 'その他', type: 'text', options: [], weight: 1, order: 2, updatedAt: 0 }
+];
+
+// 重みの範囲 (同乗ルール違反の100点より小さくする)
+export const MAX_ATTRIBUTE_WEIGHT = 10;
+
+// data の備考は項目にしない
+const RESERVED_KEYS = ['memo'];
+
+/**
+ * 項目を1つ作ります。
+ * @param {Object} [values] - 上書きする値
+ * @returns {{ key: string, label: string, type: string, options: Array<string>, weight: number, order: number, updatedAt: number }}
+ */
+export function createAttribute(values = {}) {
+  return {
+    key: `attr${Date.now()}`,
+    label: '',
+    type: 'text',
+    options: [],
+    weight: 1,
+    order: 0,
+    updatedAt: Date.now(),
+    ...values
+  };
+}
+
+/**
+ * 項目の欠けた値・型を補います。(保存データの読み込み用)
+ * @param {Object} attribute - 項目
+ * @returns {Object} 項目
+ */
+export function normalizeAttribute(attribute) {
+  const type = ATTRIBUTE_TYPES.some(item => item.value === attribute.type) ? attribute.type : 'text';
+  return createAttribute({
+    ...attribute,
+    label: typeof attribute.label === 'string' && attribute.label.trim() ? attribute.label.trim() : String(attribute.key ?? ''),
+    type,
+    options: type === 'select' ? parseAttributeOptions(Array.isArray(attribute.options) ? attribute.options.join(',') : '') : [],
+    weight: normalizeWeight(attribute.weight),
+    order: Number.isInteger(attribute.order) ? attribute.order : 0,
+    updatedAt: Number(attribute.updatedAt) || 0
+  });
+}
+
+/**
+ * 重みを -10〜10 の整数にします。
+ * @param {*} value
+ * @returns {number}
+ */
+export function normalizeWeight(value) {
+  const weight = Math.round(Number(String(value ?? '').normalize('NFKC')) || 0);
+  return Math.max(-MAX_ATTRIBUTE_WEIGHT, Math.min(MAX_ATTRIBUTE_WEIGHT, weight));
+}
+
+/**
+ * 項目のキーに使えるか (備考 memo は使えない)。
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isAttributeKey(key) {
+  return typeof key === 'string' && key !== '' && !RESERVED_KEYS.includes(key);
+}
+
+// 種類を変えられない項目 (学年は進級 (rollover.js) が「5年」のような文字として読み書きする)
+const TYPE_LOCKED_KEYS = ['grade'];
+
+/**
+ * 項目の種類を変えられないか。
+ * @param {Object} attribute - 項目
+ * @returns {boolean}
+ */
+export function isAttributeTypeLocked(attribute) {
+  return TYPE_LOCKED_KEYS.includes(attribute.key);
+}
+
+/**
+ * 値を項目の種類に合わせます。未入力は空文字 (はい・いいえは true / false、数値は number)。
+ * @param {Object} attribute - 項目
+ * @param {*} value - 入力・保存された値
+ * @returns {string|number|boolean}
+ */
+export function normalizeAttributeValue(attribute, value) {
+  if (value === null || value === undefined) return '';
+  if (attribute.type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return '';
+  }
+  const text = String(value).trim();
+  if (attribute.type !== 'number') return text;
+  if (text === '') return '';
+  const number = Number(text.normalize('NFKC'));
+  return Number.isFinite(number) ? number : '';
+}
+
+/**
+ * 2人の値が一致するか。未入力どうしは一致とせず、はい・いいえは2人とも「はい」のときだけ一致とします。
+ * @param {Object} attribute - 項目
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function attributeValuesMatch(attribute, a, b) {
+  const valueA = normalizeAttributeValue(attribute, a);
+  const valueB = normalizeAttributeValue(attribute, b);
+  if (attribute.type === 'boolean') return valueA === true && valueB === true;
+  return valueA !== '' && valueA === valueB;
+}
+
+/**
+ * 2人の値が一致した項目 (重みが 0 の項目は除く)。
+ * @param {Object} valuesA - 項目のキー -> 値
+ * @param {Object} valuesB - 項目のキー -> 値
+ * @param {Array} attributes - 項目の一覧
+ * @returns {Array<Object>} 項目
+ */
+export function getAttributeMatches(valuesA, valuesB, attributes) {
+  return attributes.filter(attribute => attribute.weight !== 0 && attributeValuesMatch(attribute, valuesA[attribute.key], valuesB[attribute.key]));
+}
+
+/**
+ * 2人の一致の点数 (一致した項目の重みの合計。分ける項目の一致はマイナス)。
+ * @param {Object} valuesA - 項目のキー -> 値
+ * @param {Object} valuesB - 項目のキー -> 値
+ * @param {Array} attributes - 項目の一覧
+ * @returns {number}
+ */
+export function scoreAttributeMatches(valuesA, valuesB, attributes) {
+  return getAttributeMatches(valuesA, valuesB, attributes).reduce((sum, attribute) => sum + attribute.weight, 0);
+}
+
+/**
+ * 参加者の項目の表示 (例: 「5年 東小 身長 130 送迎OK」)。
+ * @param {Object} values - 項目のキー -> 値
+ * @param {Array} attributes - 項目の一覧
+ * @returns {string} 値が無ければ空文字
+ */
+export function describeAttributes(values, attributes) {
+  return attributes.map(attribute => {
+    const value = normalizeAttributeValue(attribute, values[attribute.key]);
+    if (attribute.type === 'boolean') return value === true ? attribute.label : '';
+    if (attribute.type === 'number') return value === '' ? '' : `${attribute.label} ${value}`;
+    return value;
+  }).filter(Boolean).join(' ');
+}
+
+/**
+ * 重みの説明 (例: 「同じ人を集める +2」「別の車に分ける -1」)。
+ * @param {number} weight
+ * @returns {string}
+ */
+export function describeAttributeWeight(weight) {
+  if (weight > 0) return `同じ人を集める +${weight}`;
+  if (weight < 0) return `別の車に分ける ${weight}`;
+  return '割り当てに使わない';
+}
+
+/**
+ * 項目の一覧が無かったデータの項目を作ります。以前の3項目に加えて、参加者の data にあるほかのキーを
+ * 重み 0 (割り当てに使わない) の文字の項目にします。
+ * @param {Array} families - 家族の一覧
+ * @returns {Array} 項目の一覧
+ */
+export function attributesFromMemberData(families) {
+  const attributes = DEFAULT_ATTRIBUTES.map(attribute => ({ ...attribute }));
+  const keys = new Set(attributes.map(attribute => attribute.key));
+  families.forEach(family => (Array.isArray(family?.members) ? family.members : []).forEach(member => {
+    const data = member && member.data !== null && typeof member.data === 'object' ? member.data : {};
+    Object.keys(data).filter(key => isAttributeKey(key) && !keys.has(key)).forEach(key => {
+      keys.add(key);
+      attributes.push({ key, label: key, type: 'text', options: [], weight: 0, order: attributes.length, updatedAt: 0 });
+    });
+  }));
+  return attributes;
+}
+
+/**
+ * 選択肢の入力 (「A, B、C」) を配列にします。空と重複は除きます。
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseAttributeOptions(text) {
+  return [...new Set(String(text).split(/[,、\n]/).map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * 選択肢を入力欄の形 (「A, B, C」) にします。
+ * @param {Array<string>} options
+ * @returns {string}
+ */
+export function formatAttributeOptions(options) {
+  return (options || []).join(', ');
+}
@@ -0,0 +1,278 @@
+// backup.js: 保存ファイル (マスターデータ・状態の JSON) のパスフレーズによる暗号化と、個人情報を除いた書き出し
+// 保存ファイルには子どもの名前・学校・学年・備考が入り、LINE などで受け渡されるため、パスフレーズで暗号化して書き出せるようにする。
+// 暗号化は Web Crypto (PBKDF2 で鍵を作り AES-GCM で暗号化) で行い、パスフレーズはファイルに残さない。
+// 「個人情報を除く」は参加者の備考・学校と、同乗ルール・乗車場所の備考を空にする (会場・駐車場の備考は公共の情報なので残す)。
+// 読み込み側は復号した JSON を format.js の prepareMasterImport / prepareStateImport に渡す。DB や画面には触れない。
+
+/**
+ * 暗号化ファイルの形式 (format の値) とバージョン
+ * 1: PBKDF2 (SHA-256) + AES-GCM (256bit)。kind を追加の認証データにする
+ */
+export const ENCRYPTED_FORMAT = 'car-dispatch-encrypted';
+export const ENCRYPTED_FORMAT_VERSION = 1;
+
+/**
+ * パスフレーズの最短の長さ
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 600000;
+const MAX_PBKDF2_ITERATIONS = 10000000; // 読み込むファイルの値の上限 (極端な値で画面が固まらないように)
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KINDS = ['master', 'state'];
+const KIND_LABELS = { master: 'マスターデータ', state: '配車の状態' };
+
+// 名前にこの文字を含む参加者の項目も学校として除く
+const SCHOOL_LABEL = '学校';
+
+/**
+ * 暗号化したファイルかどうか。
+ * @param {*} data - JSON.parse した内容
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(data) {
+  return data !== null && typeof data === 'object' && data.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * データをパスフレーズで暗号化します。
+ * @param {Object} data - マスターデータ・状態
+ * @param {string} passphrase - パスフレーズ (MIN_PASSPHRASE_LENGTH 文字以上)
+ * @param {'master'|'state'} kind - 中身の種類 (読み込むページの確認に使う)
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - PBKDF2 の回数 (テスト用)
+ * @returns {Promise<Object>} 暗号化ファイルの内容 (JSON にして保存する)
+ * @throws {Error} パスフレーズが短い・このブラウザで暗号化を使えないとき
+ */
+export async function encryptBackup(data, passphrase, kind, { iterations = PBKDF2_ITERATIONS } = {}) {
+  if (!KINDS.includes(kind)) throw new Error(`種類 (${kind}) が正しくありません。`);
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`パスフレーズは ${MIN_PASSPHRASE_LENGTH} 文字以上にしてください。`);
+  }
+  const subtle = getSubtle();
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(subtle, passphrase, salt, iterations);
+  const plain = new TextEncoder().encode(JSON.stringify(data));
+  const cipher = await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: additionalData(kind, ENCRYPTED_FORMAT_VERSION) }, key, plain);
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_FORMAT_VERSION,
+    kind,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(cipher))
+  };
+}
+
+/**
+ * 暗号化ファイルを復号します。
+ * @param {Object} file - 暗号化ファイルの内容 (isEncryptedBackup が true)
+ * @param {string} passphrase - パスフレーズ
+ * @param {'master'|'state'} kind - 読み込むページの種類 (違う種類のファイルはエラー)
+ * @returns {Promise<*>} 暗号化する前のデータ
+ * @throws {Error} パスフレーズが違う・ファイルが壊れている・種類が違うとき
+ */
+export async function decryptBackup(file, passphrase, kind) {
+  if (!Number.isInteger(file.version) || file.version > ENCRYPTED_FORMAT_VERSION) {
+    throw new Error('このファイルは新しいバージョンのアプリで暗号化されています。アプリを更新してから読み込んでください。');
+  }
+  if (!KINDS.includes(file.kind)) throw new Error('暗号化ファイルの形式が正しくありません。');
+  if (file.kind !== kind) {
+    throw new Error(`${KIND_LABELS[file.kind]}のファイルです。${file.kind === 'master' ? 'マスターデータ管理ページ' : '配車調整アプリの「ファイル読込み」'}で読み込んでください。`);
+  }
+  if (typeof passphrase !== 'string' || passphrase === '') {
+    throw new Error('パスフレーズで暗号化されたファイルです。パスフレーズを入力してから、もう一度ファイルを選んでください。');
+  }
+
+  const iterations = file.kdf?.iterations;
+  let salt;
+  let iv;
+  let cipher;
+  try {
+    if (file.kdf.name !== 'PBKDF2' || file.kdf.hash !== 'SHA-256' || file.cipher.name !== 'AES-GCM') throw new Error('unsupported');
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_PBKDF2_ITERATIONS) throw new Error('iterations');
+    salt = fromBase64(file.kdf.salt);
+    iv = fromBase64(file.cipher.iv);
+    cipher = fromBase64(file.data);
+  } catch (err) {
+    throw new Error('暗号化ファイルの形式が正しくありません。');
+  }
+
+  const subtle = getSubtle();
+  const key = await deriveKey(subtle, passphrase, salt, iterations);
+  let plain;
+  try {
+    // 認証データはファイルに記録された版で作る (形式の版を上げても古いファイルを復号できるように)
+    plain = await subtle.decrypt({ name: 'AES-GCM', iv, additionalData: additionalData(file.kind, file.version) }, key, cipher);
+  } catch (err) {
+    // AES-GCM はパスフレーズの誤りと改ざん・破損を区別できない
+    throw new Error('復号できませんでした。パスフレーズが違うか、ファイルが壊れています。');
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (err) {
+    throw new Error('復号した内容が JSON ではありません。ファイルが壊れています。');
+  }
+}
+
+/**
+ * 書き出すファイルの内容を作ります (個人情報を除く → 暗号化の順)。
+ * @param {Object} data - マスターデータ・状態
+ * @param {'master'|'state'} kind - 中身の種類
+ * @param {Object} [options]
+ * @param {boolean} [options.redact=false] - 個人情報を除くか
+ * @param {string|null} [options.passphrase=null] - 暗号化するときのパスフレーズ (null なら暗号化しない)
+ * @param {Array} [options.attributes] - 参加者の項目 (状態の学校の項目を見分ける)
+ * @returns {Promise<{ data: Object, filenameSuffix: string }>} filenameSuffix: ファイル名に付ける印 (例: '_redacted_encrypted')
+ * @throws {Error} パスフレーズが短い・このブラウザで暗号化を使えないとき
+ */
+export async function prepareBackupExport(data, kind, { redact = false, passphrase = null, attributes = [] } = {}) {
+  let content = data;
+  let filenameSuffix = '';
+  if (redact) {
+    content = kind === 'master' ? redactMasterData(data) : redactState(data, attributes);
+    filenameSuffix += '_redacted';
+  }
+  if (passphrase !== null) {
+    content = await encryptBackup(content, passphrase, kind);
+    filenameSuffix += '_encrypted';
+  }
+  return { data: content, filenameSuffix };
+}
+
+/**
+ * 保存したファイルの設定の説明 (メッセージ用)。
+ * @param {boolean} redact - 個人情報を除いたか
+ * @param {boolean} encrypted - 暗号化したか
+ * @returns {string} 例: ' (個人情報を除く・暗号化)'。どちらでもなければ空文字
+ */
+export function describeBackupOptions(redact, encrypted) {
+  const options = [redact ? '個人情報を除く' : '', encrypted ? '暗号化' : ''].filter(Boolean);
+  return options.length > 0 ? ` (${options.join('・')})` : '';
+}
+
+/**
+ * 読み込んだファイルの内容を返します。暗号化したファイルはパスフレーズで復号します。
+ * @param {*} data - JSON.parse した内容
+ * @param {'master'|'state'} kind - 読み込むページの種類
+ * @param {string} passphrase - 入力されたパスフレーズ (暗号化していないファイルでは使わない)
+ * @returns {Promise<*>} format.js の prepareMasterImport / prepareStateImport に渡す内容
+ * @throws {Error} 復号できないとき (decryptBackup)
+ */
+export async function openBackupFile(data, kind, passphrase) {
+  return isEncryptedBackup(data) ? decryptBackup(data, passphrase, kind) : data;
+}
+
+/**
+ * マスターデータから個人情報 (参加者の備考・学校、同乗ルール・乗車場所の備考) を除きます。
+ * @param {Object} masterData - マスターデータ (families / constraints / pickupPoints / attributes など)
+ * @returns {Object} 新しいマスターデータ (元のデータは変更しない)。redacted: true を付ける
+ */
+export function redactMasterData(masterData) {
+  const keys = schoolKeys(masterData.attributes);
+  return {
+    ...masterData,
+    redacted: true,
+    families: (masterData.families || []).map(family => {
+      const redactMember = (member) => ({ ...member, data: redactValues(member.data, keys) });
+      const copy = { ...family, members: (family.members || []).map(redactMember) };
+      // 進級でアーカイブした卒業生 (rollover.js) も同じく除く
+      if (Array.isArray(family.archivedMembers)) copy.archivedMembers = family.archivedMembers.map(redactMember);
+      return copy;
+    }),
+    constraints: (masterData.constraints || []).map(constraint => ({ ...constraint, memo: '' })),
+    pickupPoints: (masterData.pickupPoints || []).map(point => ({ ...point, memo: '' }))
+  };
+}
+
+/**
+ * 状態から個人情報 (参加者の備考・学校) を除きます。割り当て結果の参加者の値と、行程の編集履歴も対象にします。
+ * @param {Object} state - 状態 (index.html の getCurrentState())
+ * @param {Array} [attributes] - 参加者の項目 (学校の項目を見分ける。無ければ key が school の項目)
+ * @returns {Object} 新しい状態 (元のデータは変更しない)。redacted: true を付ける
+ */
+export function redactState(state, attributes = []) {
+  const keys = schoolKeys(attributes);
+  const person = (p) => {
+    if (!p) return p;
+    const copy = { ...p };
+    if (p.data) copy.data = redactValues(p.data, keys);
+    if (p.attributes) copy.attributes = redactValues(p.attributes, keys);
+    if (p.memo !== undefined) copy.memo = '';
+    return copy;
+  };
+  const redactAssignments = (assignments) => (assignments || []).map(car => ({
+    ...car,
+    driver: person(car.driver),
+    members: (car.members || []).map(person)
+  }));
+  return {
+    ...state,
+    redacted: true,
+    participantData: (state.participantData || []).map(([id, data]) => [id, redactValues(data, keys)]),
+    legs: (state.legs || []).map(leg => ({
+      ...leg,
+      currentAssignments: redactAssignments(leg.currentAssignments),
+      history: leg.history && {
+        undo: (leg.history.undo || []).map(entry => ({ ...entry, assignments: redactAssignments(entry.assignments) })),
+        redo: (leg.history.redo || []).map(entry => ({ ...entry, assignments: redactAssignments(entry.assignments) }))
+      }
+    }))
+  };
+}
+
+// 学校の項目のキー (以前からの school と、名前に「学校」を含む項目)
+function schoolKeys(attributes) {
+  const keys = new Set(['school']);
+  (attributes || []).forEach(attribute => {
+    if (typeof attribute.label === 'string' && attribute.label.includes(SCHOOL_LABEL)) keys.add(attribute.key);
+  });
+  return keys;
+}
+
+// 値の一覧 (参加者の data・その回の入力・割り当て結果の項目の値) から学校と備考を空にする
+function redactValues(values, keys) {
+  if (!values || typeof values !== 'object') return values;
+  const copy = { ...values };
+  keys.forEach(key => {
+    if (copy[key] !== undefined) copy[key] = '';
+  });
+  if (copy.memo !== undefined) copy.memo = '';
+  return copy;
+}
+
+function getSubtle() {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('このブラウザ (または http:// で開いた画面) では暗号化を使えません。https:// で開いてください。');
+  }
+  return crypto.subtle;
+}
+
+async function deriveKey(subtle, passphrase, salt, iterations) {
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function additionalData(kind, version) {
+  return new TextEncoder().encode(`${ENCRYPTED_FORMAT}:${version}:${kind}`);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  if (typeof text !== 'string') throw new Error('not a string');
+  const binary = atob(text);
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// build.mjs: オフラインで使うためのファイルを作る (Node だけで動き、追加のパッケージは要らない)
+//   styles.css       … 画面で使っている Tailwind CSS のクラス (build/styles.mjs)
+//   icons/           … アプリのアイコン (build/icons.mjs)
+//   sw.js の BUILD_VERSION … 日付 + キャッシュするファイルの内容のハッシュ。内容が変わったときだけ書き換える
+// HTML・JS を変えたら公開の前に実行する。Service Worker は BUILD_VERSION が変わると新しい版をインストールし、画面に「再読み込み」を案内する。
+//
+// 使い方: node build.mjs [--check]
+//   --check  ファイルを書き換えず、作り直しが必要なら終了コード 1 (変更の確認用)
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { buildStylesheet, extractCandidates } from './build/styles.mjs';
+import { renderPng, renderSvg, samePngPixels } from './build/icons.mjs';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const ICON_SIZES = [192, 512];
+const VERSION_PATTERN = /const BUILD_VERSION = '([^']*)';/;
+const STYLES_BANNER = '/* styles.css: build.mjs が作るファイル。手で変えない (node build.mjs で作り直す) */\n';
+
+/**
+ * クラス名を探すファイル (ページと画面のモジュール)。
+ * @param {string} root
+ * @returns {Array<string>}
+ */
+export function sourceFiles(root = ROOT) {
+  return readdirSync(root).filter(name => /\.(html|js)$/.test(name) && name !== 'sw.js').sort();
+}
+
+/**
+ * sw.js がキャッシュするファイル (urlsToCache のうち、ファイルを指すもの)。
+ * @param {string} sw - sw.js の内容
+ * @returns {Array<string>}
+ */
+export function cachedFiles(sw) {
+  const list = /const urlsToCache = \[([\s\S]*?)\];/.exec(sw);
+  if (!list) throw new Error('sw.js に urlsToCache が見つかりません。');
+  return [...list[1].matchAll(/'\.\/([^']+)'/g)].map(match => match[1]);
+}
+
+/**
+ * キャッシュするファイルの内容のハッシュ (8桁)。
+ * @param {Object<string, Buffer|string>} contents - ファイル名 -> 内容
+ * @returns {string}
+ */
+export function contentHash(contents) {
+  const hash = createHash('sha256');
+  Object.keys(contents).sort().forEach(name => {
+    hash.update(name).update('\0').update(contents[name]).update('\0');
+  });
+  return hash.digest('hex').slice(0, 8);
+}
+
+/**
+ * 作るファイルをまとめて計算します (書き込みはしない)。
+ * @param {string} root
+ * @param {Date} now - 版の日付
+ * @returns {{ outputs: Array<{ path: string, content: Buffer|string, same: function(Buffer): boolean }>, version: string, classes: Array<string> }}
+ */
+export function planBuild(root = ROOT, now = new Date()) {
+  const candidates = new Set();
+  sourceFiles(root).forEach(name => extractCandidates(readFileSync(join(root, name), 'utf8')).forEach(c => candidates.add(c)));
+  const styles = buildStylesheet(candidates, STYLES_BANNER);
+
+  const outputs = [
+    { path: 'styles.css', content: styles.css },
+    { path: 'icons/icon.svg', content: renderSvg() },
+    ...ICON_SIZES.map(size => ({ path: `icons/icon-${size}.png`, content: renderPng(size), same: samePngPixels }))
+  ];
+
+  // 版のハッシュは作ったファイルを含めて計算する (sw.js 自身は版を書き換えるので含めない)
+  const swPath = join(root, 'sw.js');
+  const sw = readFileSync(swPath, 'utf8');
+  const generated = Object.fromEntries(outputs.map(output => [output.path, output.content]));
+  const contents = {};
+  cachedFiles(sw).filter(name => name !== 'sw.js').forEach(name => {
+    contents[name] = generated[name] ?? readFileSync(join(root, name));
+  });
+  contents['sw.js'] = sw.replace(VERSION_PATTERN, '');
+  const hash = contentHash(contents);
+
+  const current = (VERSION_PATTERN.exec(sw) || [])[1] || '';
+  const version = current.endsWith(`-${hash}`) ? current : `${formatDate(now)}-${hash}`;
+  outputs.push({ path: 'sw.js', content: sw.replace(VERSION_PATTERN, `const BUILD_VERSION = '${version}';`) });
+  return { outputs, version, classes: styles.classes };
+}
+
+function formatDate(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('');
+}
+
+function isCurrent(root, output) {
+  const path = join(root, output.path);
+  if (!existsSync(path)) return false;
+  const existing = readFileSync(path);
+  if (output.same) return output.same(existing, output.content);
+  return existing.equals(Buffer.from(output.content));
+}
+
+function main(args) {
+  const check = args.includes('--check');
+  const unknown = args.filter(arg => arg !== '--check');
+  if (unknown.length > 0) {
+    console.error(`エラー: 不明な引数 ${unknown.join(' ')}\n使い方: node build.mjs [--check]`);
+    return 2;
+  }
+
+  const { outputs, version, classes } = planBuild();
+  const stale = outputs.filter(output => !isCurrent(ROOT, output));
+  if (check) {
+    stale.forEach(output => console.error(`古いファイル: ${output.path}`));
+    if (stale.length > 0) console.error('node build.mjs で作り直してください。');
+    return stale.length > 0 ? 1 : 0;
+  }
+  stale.forEach(output => {
+    mkdirSync(dirname(join(ROOT, output.path)), { recursive: true });
+    writeFileSync(join(ROOT, output.path), output.content);
+    console.log(`書き出し: ${output.path}`);
+  });
+  console.log(`版: ${version} / クラス ${classes.length}件`);
+  return 0;
+}
+
+// import された場合 (テスト) は実行しない
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = main(process.argv.slice(2));
+}
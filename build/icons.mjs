@@ -0,0 +1,136 @@
+// build/icons.mjs: アプリのアイコン (PNG・SVG) を描く
+// 以前は manifest.json のアイコンを placehold.co から読んでいたため、オフラインではホーム画面のアイコンが出なかった。
+// 図形の一覧 (ICON_SHAPES) から PNG と SVG の両方を作る。Node の zlib だけを使う。
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+// 512 x 512 の座標で描く図形 (後のものが上に重なる)
+export const ICON_SHAPES = [
+  { type: 'rect', x: 0, y: 0, w: 512, h: 512, r: 0, fill: '#007bff' }, // 背景 (マスク可能アイコンのため全面を塗る)
+  { type: 'rect', x: 150, y: 156, w: 212, h: 110, r: 48, fill: '#ffffff' }, // 屋根
+  { type: 'rect', x: 88, y: 236, w: 336, h: 112, r: 36, fill: '#ffffff' }, // 車体
+  { type: 'rect', x: 174, y: 180, w: 74, h: 60, r: 14, fill: '#cfe5ff' }, // 窓
+  { type: 'rect', x: 264, y: 180, w: 74, h: 60, r: 14, fill: '#cfe5ff' },
+  { type: 'rect', x: 104, y: 270, w: 40, h: 22, r: 10, fill: '#ffd43b' }, // ライト
+  { type: 'circle', cx: 176, cy: 348, r: 46, fill: '#1f2937' }, // タイヤ
+  { type: 'circle', cx: 336, cy: 348, r: 46, fill: '#1f2937' },
+  { type: 'circle', cx: 176, cy: 348, r: 18, fill: '#ffffff' },
+  { type: 'circle', cx: 336, cy: 348, r: 18, fill: '#ffffff' }
+];
+const GRID = 512;
+const SUPERSAMPLE = 4; // 1画素を 4 x 4 点で塗り、縁を滑らかにする
+
+/**
+ * SVG のアイコンを作ります。
+ * @returns {string}
+ */
+export function renderSvg() {
+  const body = ICON_SHAPES.map(shape => (shape.type === 'circle'
+    ? `  <circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="${shape.fill}"/>`
+    : `  <rect x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}" rx="${shape.r}" fill="${shape.fill}"/>`));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${GRID} ${GRID}">\n${body.join('\n')}\n</svg>\n`;
+}
+
+/**
+ * PNG のアイコンを作ります。
+ * @param {number} size - 一辺の画素数
+ * @returns {Buffer}
+ */
+export function renderPng(size) {
+  const shapes = ICON_SHAPES.map(shape => ({ ...shape, rgb: parseHex(shape.fill) }));
+  const scale = GRID / size;
+  const rowLength = size * 4 + 1;
+  const pixels = Buffer.alloc(rowLength * size);
+  for (let y = 0; y < size; y++) {
+    pixels[y * rowLength] = 0; // フィルタ無し
+    for (let x = 0; x < size; x++) {
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const px = (x + (sx + 0.5) / SUPERSAMPLE) * scale;
+          const py = (y + (sy + 0.5) / SUPERSAMPLE) * scale;
+          const top = shapes.findLast(shape => contains(shape, px, py));
+          const rgb = top ? top.rgb : [0, 0, 0];
+          sum[0] += rgb[0]; sum[1] += rgb[1]; sum[2] += rgb[2];
+        }
+      }
+      const offset = y * rowLength + 1 + x * 4;
+      const samples = SUPERSAMPLE * SUPERSAMPLE;
+      pixels[offset] = Math.round(sum[0] / samples);
+      pixels[offset + 1] = Math.round(sum[1] / samples);
+      pixels[offset + 2] = Math.round(sum[2] / samples);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // 8bit
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(pixels, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * PNG の画素が同じかどうか (zlib の版で圧縮結果が変わっても、同じ絵なら同じとみなす)。
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @returns {boolean}
+ */
+export function samePngPixels(a, b) {
+  try {
+    return readChunk(a, 'IHDR').equals(readChunk(b, 'IHDR')) && inflateSync(readChunk(a, 'IDAT')).equals(inflateSync(readChunk(b, 'IDAT')));
+  } catch {
+    return false;
+  }
+}
+
+function contains(shape, x, y) {
+  if (shape.type === 'circle') return (x - shape.cx) ** 2 + (y - shape.cy) ** 2 <= shape.r ** 2;
+  if (x < shape.x || y < shape.y || x > shape.x + shape.w || y > shape.y + shape.h) return false;
+  // 角の丸み: 内側の長方形からの距離が半径以内
+  const nx = Math.min(Math.max(x, shape.x + shape.r), shape.x + shape.w - shape.r);
+  const ny = Math.min(Math.max(y, shape.y + shape.r), shape.y + shape.h - shape.r);
+  return (x - nx) ** 2 + (y - ny) ** 2 <= shape.r ** 2;
+}
+
+function parseHex(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// IDAT が1つだけの PNG (renderPng の出力) を読む
+function readChunk(png, type) {
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    if (png.toString('ascii', offset + 4, offset + 8) === type) return png.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+  }
+  throw new Error(`${type} がありません`);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
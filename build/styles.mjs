@@ -0,0 +1,397 @@
+// build/styles.mjs: 画面で使っている Tailwind CSS のクラスだけを styles.css に書き出す
+// 以前は cdn.tailwindcss.com のスクリプトが画面を開くたびに CSS を作っていたため、電波の無い場所では装飾が付かなかった。
+// HTML・JS の文字列からクラス名の候補を集め、Tailwind (v3) と同じ値の CSS を作る。対応していないクラスは無視する (unknown に返す)。
+
+// 色 (Tailwind v3 の色の一覧のうち、画面で使う色)
+const PALETTE = {
+  gray: ['#f9fafb', '#f3f4f6', '#e5e7eb', '#d1d5db', '#9ca3af', '#6b7280', '#4b5563', '#374151', '#1f2937', '#111827'],
+  red: ['#fef2f2', '#fee2e2', '#fecaca', '#fca5a5', '#f87171', '#ef4444', '#dc2626', '#b91c1c', '#991b1b', '#7f1d1d'],
+  orange: ['#fff7ed', '#ffedd5', '#fed7aa', '#fdba74', '#fb923c', '#f97316', '#ea580c', '#c2410c', '#9a3412', '#7c2d12'],
+  yellow: ['#fefce8', '#fef9c3', '#fef08a', '#fde047', '#facc15', '#eab308', '#ca8a04', '#a16207', '#854d0e', '#713f12'],
+  green: ['#f0fdf4', '#dcfce7', '#bbf7d0', '#86efac', '#4ade80', '#22c55e', '#16a34a', '#15803d', '#166534', '#14532d'],
+  teal: ['#f0fdfa', '#ccfbf1', '#99f6e4', '#5eead4', '#2dd4bf', '#14b8a6', '#0d9488', '#0f766e', '#115e59', '#134e4a'],
+  blue: ['#eff6ff', '#dbeafe', '#bfdbfe', '#93c5fd', '#60a5fa', '#3b82f6', '#2563eb', '#1d4ed8', '#1e40af', '#1e3a8a'],
+  indigo: ['#eef2ff', '#e0e7ff', '#c7d2fe', '#a5b4fc', '#818cf8', '#6366f1', '#4f46e5', '#4338ca', '#3730a3', '#312e81'],
+  purple: ['#faf5ff', '#f3e8ff', '#e9d5ff', '#d8b4fe', '#c084fc', '#a855f7', '#9333ea', '#7e22ce', '#6b21a8', '#581c87'],
+  pink: ['#fdf2f8', '#fce7f3', '#fbcfe8', '#f9a8d4', '#f472b6', '#ec4899', '#db2777', '#be185d', '#9d174d', '#831843']
+};
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+const NAMED_COLORS = { white: '#fff', black: '#000', transparent: 'transparent', current: 'currentColor' };
+
+// 画面幅の条件 (sm: / md: / lg: / xl:)。この順に後ろへ書き出す
+const SCREENS = { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' };
+const STATES = {
+  hover: ':hover',
+  focus: ':focus',
+  'focus-within': ':focus-within',
+  active: ':active',
+  disabled: ':disabled',
+  'group-hover': null // .group:hover の子
+};
+
+const FONT_SIZES = {
+  xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'], lg: ['1.125rem', '1.75rem'],
+  xl: ['1.25rem', '1.75rem'], '2xl': ['1.5rem', '2rem'], '3xl': ['1.875rem', '2.25rem'], '4xl': ['2.25rem', '2.5rem'], '5xl': ['3rem', '1']
+};
+const FONT_WEIGHTS = { thin: 100, extralight: 200, light: 300, normal: 400, medium: 500, semibold: 600, bold: 700, extrabold: 800, black: 900 };
+const FONT_FAMILIES = {
+  sans: 'ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"',
+  mono: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace'
+};
+const LEADING = { none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2' };
+const RADIUS = { none: '0px', sm: '0.125rem', '': '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px' };
+const MAX_WIDTHS = {
+  none: 'none', xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+  '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', prose: '65ch'
+};
+const SHADOWS = {
+  sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+  '': '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+  md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+  lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+  xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+  inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+  none: '0 0 #0000'
+};
+const TRANSFORM = 'translate(var(--tw-translate-x), var(--tw-translate-y)) rotate(var(--tw-rotate)) scale(var(--tw-scale-x), var(--tw-scale-y))';
+const TRANSITIONS = {
+  '': 'color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter',
+  colors: 'color, background-color, border-color, text-decoration-color, fill, stroke',
+  all: 'all', opacity: 'opacity', shadow: 'box-shadow', transform: 'transform', none: 'none'
+};
+
+// そのまま決まる (値を取らない) クラス
+const STATIC = {
+  block: 'display: block', 'inline-block': 'display: inline-block', inline: 'display: inline', flex: 'display: flex',
+  'inline-flex': 'display: inline-flex', grid: 'display: grid', table: 'display: table', contents: 'display: contents', hidden: 'display: none',
+  static: 'position: static', relative: 'position: relative', absolute: 'position: absolute', fixed: 'position: fixed', sticky: 'position: sticky',
+  'float-right': 'float: right', 'float-left': 'float: left', 'float-none': 'float: none',
+  'flex-row': 'flex-direction: row', 'flex-col': 'flex-direction: column', 'flex-wrap': 'flex-wrap: wrap', 'flex-nowrap': 'flex-wrap: nowrap',
+  'flex-1': 'flex: 1 1 0%', 'flex-auto': 'flex: 1 1 auto', 'flex-none': 'flex: none',
+  'flex-grow': 'flex-grow: 1', grow: 'flex-grow: 1', 'flex-shrink-0': 'flex-shrink: 0', 'shrink-0': 'flex-shrink: 0',
+  'items-start': 'align-items: flex-start', 'items-end': 'align-items: flex-end', 'items-center': 'align-items: center',
+  'items-baseline': 'align-items: baseline', 'items-stretch': 'align-items: stretch',
+  'justify-start': 'justify-content: flex-start', 'justify-end': 'justify-content: flex-end', 'justify-center': 'justify-content: center',
+  'justify-between': 'justify-content: space-between', 'justify-around': 'justify-content: space-around',
+  'self-start': 'align-self: flex-start', 'self-center': 'align-self: center', 'self-end': 'align-self: flex-end',
+  'col-span-full': 'grid-column: 1 / -1',
+  'overflow-auto': 'overflow: auto', 'overflow-hidden': 'overflow: hidden', 'overflow-x-auto': 'overflow-x: auto', 'overflow-y-auto': 'overflow-y: auto',
+  'overflow-visible': 'overflow: visible',
+  'mx-auto': 'margin-left: auto; margin-right: auto', 'ml-auto': 'margin-left: auto', 'mr-auto': 'margin-right: auto', 'mt-auto': 'margin-top: auto',
+  'w-full': 'width: 100%', 'w-auto': 'width: auto', 'w-screen': 'width: 100vw', 'w-fit': 'width: fit-content',
+  'h-full': 'height: 100%', 'h-auto': 'height: auto', 'h-screen': 'height: 100vh',
+  'min-w-0': 'min-width: 0px', 'min-w-full': 'min-width: 100%', 'min-h-screen': 'min-height: 100vh', 'min-h-full': 'min-height: 100%',
+  'max-h-full': 'max-height: 100%', 'max-h-screen': 'max-height: 100vh',
+  italic: 'font-style: italic', 'not-italic': 'font-style: normal',
+  underline: 'text-decoration-line: underline', 'line-through': 'text-decoration-line: line-through', 'no-underline': 'text-decoration-line: none',
+  uppercase: 'text-transform: uppercase', lowercase: 'text-transform: lowercase',
+  'text-left': 'text-align: left', 'text-center': 'text-align: center', 'text-right': 'text-align: right',
+  'align-top': 'vertical-align: top', 'align-middle': 'vertical-align: middle', 'align-bottom': 'vertical-align: bottom',
+  'whitespace-nowrap': 'white-space: nowrap', 'whitespace-pre-wrap': 'white-space: pre-wrap', 'whitespace-pre-line': 'white-space: pre-line', 'whitespace-normal': 'white-space: normal',
+  'break-words': 'overflow-wrap: break-word', 'break-all': 'word-break: break-all',
+  truncate: 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap',
+  'list-disc': 'list-style-type: disc', 'list-decimal': 'list-style-type: decimal', 'list-none': 'list-style-type: none',
+  'list-inside': 'list-style-position: inside', 'list-outside': 'list-style-position: outside',
+  'border-solid': 'border-style: solid', 'border-dashed': 'border-style: dashed', 'border-dotted': 'border-style: dotted', 'border-none': 'border-style: none',
+  'cursor-pointer': 'cursor: pointer', 'cursor-not-allowed': 'cursor: not-allowed', 'cursor-move': 'cursor: move', 'cursor-grab': 'cursor: grab', 'cursor-default': 'cursor: default',
+  'select-none': 'user-select: none', 'select-all': 'user-select: all', 'pointer-events-none': 'pointer-events: none',
+  'outline-none': 'outline: 2px solid transparent; outline-offset: 2px',
+  transform: `transform: ${TRANSFORM}`,
+  'ease-linear': 'transition-timing-function: linear', 'ease-in': 'transition-timing-function: cubic-bezier(0.4, 0, 1, 1)',
+  'ease-out': 'transition-timing-function: cubic-bezier(0, 0, 0.2, 1)', 'ease-in-out': 'transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1)',
+  'sr-only': 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border-width: 0'
+};
+
+// 書き出す順 (Tailwind と同じく、後のものが優先される)
+const ORDER = ['container', 'position', 'inset', 'z', 'float', 'margin', 'display', 'size', 'flex', 'grid', 'gap', 'space', 'overflow',
+  'whitespace', 'radius', 'border', 'border-color', 'background', 'padding', 'text-align', 'font', 'text', 'color', 'decoration', 'opacity',
+  'shadow', 'ring', 'transform', 'transition', 'misc'];
+
+/**
+ * 文字列からクラス名の候補を集めます (Tailwind と同じく、クラス属性に限らず文字列の単語をすべて候補にする)。
+ * @param {string} text - HTML・JS の内容
+ * @returns {Set<string>}
+ */
+export function extractCandidates(text) {
+  const candidates = new Set();
+  text.split(/[\s"'`<>=(){},;\\]+|\$\{/).forEach(token => {
+    const candidate = token.replace(/[.:]+$/, '');
+    if (/^!?-?[a-z0-9@[][\w\-:./[\]#%]*$/i.test(candidate)) candidates.add(candidate);
+  });
+  return candidates;
+}
+
+/**
+ * クラス名の CSS を作ります。
+ * @param {Iterable<string>} classNames - クラス名 (候補)
+ * @returns {{ css: string, classes: Array<string> }} classes: CSS を作ったクラス
+ */
+export function generateUtilities(classNames) {
+  const rules = [];
+  [...new Set(classNames)].forEach(className => {
+    const rule = buildRule(className);
+    if (rule) rules.push(rule);
+  });
+  rules.sort(compareRules);
+  return { css: rules.map(renderRule).join('\n'), classes: rules.map(rule => rule.className) };
+}
+
+/**
+ * styles.css の全体 (基本のスタイル + 使っているクラス)。
+ * @param {Iterable<string>} classNames
+ * @param {string} [banner] - 先頭のコメント
+ * @returns {{ css: string, classes: Array<string> }}
+ */
+export function buildStylesheet(classNames, banner = '') {
+  const utilities = generateUtilities(classNames);
+  return { css: `${banner}${PREFLIGHT}\n${utilities.css}\n`, classes: utilities.classes };
+}
+
+// --- クラス名 -> ルール ---
+
+function buildRule(className) {
+  const parts = className.split(':');
+  const base = parts.pop();
+  const variants = parts;
+  let screen = null;
+  const states = [];
+  for (const variant of variants) {
+    if (SCREENS[variant] && screen === null && states.length === 0) screen = variant;
+    else if (variant in STATES) states.push(variant);
+    else return null;
+  }
+  const utility = buildUtility(base);
+  if (!utility) return null;
+  return { className, screen, states, ...utility };
+}
+
+// { group, declarations, selectorSuffix?, custom? }
+function buildUtility(name) {
+  const negative = name.startsWith('-');
+  const body = negative ? name.slice(1) : name;
+
+  if (STATIC[name]) return { group: groupOfStatic(name), declarations: STATIC[name] };
+  if (name === 'container') return { group: 'container', custom: 'container' };
+
+  let match;
+  // 余白・位置
+  if ((match = /^(p|px|py|pt|pr|pb|pl)-(.+)$/.exec(name))) {
+    const value = spacing(match[2]);
+    return value && { group: 'padding', declarations: sides(match[1].slice(1), 'padding', value) };
+  }
+  if ((match = /^(m|mx|my|mt|mr|mb|ml)-(.+)$/.exec(body))) {
+    const value = spacing(match[2], negative);
+    return value && { group: 'margin', declarations: sides(match[1].slice(1), 'margin', value) };
+  }
+  if ((match = /^(inset|top|right|bottom|left)-(.+)$/.exec(body))) {
+    const value = match[2] === 'auto' ? 'auto' : match[2] === 'full' ? '100%' : spacing(match[2], negative);
+    if (!value) return null;
+    const props = match[1] === 'inset' ? ['top', 'right', 'bottom', 'left'] : [match[1]];
+    return { group: 'inset', declarations: props.map(prop => `${prop}: ${value}`).join('; ') };
+  }
+  if ((match = /^z-(\d+|auto)$/.exec(name))) return { group: 'z', declarations: `z-index: ${match[1]}` };
+
+  // 大きさ
+  if ((match = /^(w|h|min-h|max-h)-(.+)$/.exec(name))) {
+    const prop = { w: 'width', h: 'height', 'min-h': 'min-height', 'max-h': 'max-height' }[match[1]];
+    const value = spacing(match[2]) || fraction(match[2]);
+    return value && { group: 'size', declarations: `${prop}: ${value}` };
+  }
+  if ((match = /^max-w-(.+)$/.exec(name))) {
+    const value = MAX_WIDTHS[match[1]] || arbitrary(match[1]);
+    return value && { group: 'size', declarations: `max-width: ${value}` };
+  }
+
+  // グリッド
+  if ((match = /^grid-cols-(\d+)$/.exec(name))) return { group: 'grid', declarations: `grid-template-columns: repeat(${match[1]}, minmax(0, 1fr))` };
+  if ((match = /^col-span-(\d+)$/.exec(name))) return { group: 'grid', declarations: `grid-column: span ${match[1]} / span ${match[1]}` };
+  if ((match = /^gap(-x|-y)?-(.+)$/.exec(name))) {
+    const value = spacing(match[2]);
+    const prop = { '': 'gap', '-x': 'column-gap', '-y': 'row-gap' }[match[1] || ''];
+    return value && { group: 'gap', declarations: `${prop}: ${value}` };
+  }
+  if ((match = /^space-(x|y)-(.+)$/.exec(name))) {
+    const value = spacing(match[2]);
+    const prop = match[1] === 'x' ? 'margin-left' : 'margin-top';
+    return value && { group: 'space', declarations: `${prop}: ${value}`, selectorSuffix: ' > :not([hidden]) ~ :not([hidden])' };
+  }
+
+  // 文字
+  if ((match = /^text-(.+)$/.exec(name))) {
+    if (FONT_SIZES[match[1]]) return { group: 'text', declarations: `font-size: ${FONT_SIZES[match[1]][0]}; line-height: ${FONT_SIZES[match[1]][1]}` };
+    const value = color(match[1]);
+    return value && { group: 'color', declarations: `color: ${value}` };
+  }
+  if ((match = /^font-(.+)$/.exec(name))) {
+    if (FONT_WEIGHTS[match[1]]) return { group: 'font', declarations: `font-weight: ${FONT_WEIGHTS[match[1]]}` };
+    if (FONT_FAMILIES[match[1]]) return { group: 'font', declarations: `font-family: ${FONT_FAMILIES[match[1]]}` };
+    return null;
+  }
+  if ((match = /^leading-(.+)$/.exec(name))) {
+    const value = LEADING[match[1]] || spacing(match[1]);
+    return value && { group: 'text', declarations: `line-height: ${value}` };
+  }
+
+  // 背景・枠線
+  if ((match = /^bg-(.+)$/.exec(name))) {
+    const value = color(match[1]);
+    return value && { group: 'background', declarations: `background-color: ${value}` };
+  }
+  if ((match = /^border(?:-([trblxy]))?(?:-(\d+))?$/.exec(name))) {
+    const width = match[2] === undefined ? '1px' : `${match[2]}px`;
+    return { group: 'border', declarations: sides(match[1] || '', 'border', width, '-width') };
+  }
+  if ((match = /^border-(.+)$/.exec(name))) {
+    const value = color(match[1]);
+    return value && { group: 'border-color', declarations: `border-color: ${value}` };
+  }
+  if ((match = /^rounded(?:-([trbl]))?(?:-(.+))?$/.exec(name))) {
+    const value = RADIUS[match[2] || ''];
+    if (!value) return null;
+    const corners = { '': ['top-left', 'top-right', 'bottom-right', 'bottom-left'], t: ['top-left', 'top-right'], r: ['top-right', 'bottom-right'], b: ['bottom-right', 'bottom-left'], l: ['top-left', 'bottom-left'] }[match[1] || ''];
+    return { group: 'radius', declarations: match[1] ? corners.map(corner => `border-${corner}-radius: ${value}`).join('; ') : `border-radius: ${value}` };
+  }
+
+  // 効果
+  if ((match = /^shadow(?:-(.+))?$/.exec(name)) && SHADOWS[match[1] || ''] !== undefined) {
+    return { group: 'shadow', declarations: `--tw-shadow: ${SHADOWS[match[1] || '']}; box-shadow: var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)` };
+  }
+  if ((match = /^ring(?:-(\d+))?$/.exec(name))) {
+    const width = match[1] === undefined ? 3 : Number(match[1]);
+    return { group: 'ring', declarations: `--tw-ring-offset-shadow: 0 0 0 0 #fff; --tw-ring-shadow: 0 0 0 ${width}px var(--tw-ring-color); box-shadow: var(--tw-ring-offset-shadow), var(--tw-ring-shadow), var(--tw-shadow, 0 0 #0000)` };
+  }
+  if ((match = /^ring-(.+)$/.exec(name))) {
+    const value = color(match[1]);
+    return value && { group: 'ring', declarations: `--tw-ring-color: ${value}` };
+  }
+  if ((match = /^opacity-(\d+)$/.exec(name))) return { group: 'opacity', declarations: `opacity: ${Number(match[1]) / 100}` };
+  if ((match = /^scale-(\d+)$/.exec(name))) {
+    const value = Number(match[1]) / 100;
+    return { group: 'transform', declarations: `--tw-scale-x: ${value}; --tw-scale-y: ${value}; transform: ${TRANSFORM}` };
+  }
+  if ((match = /^transition(?:-(.+))?$/.exec(name)) && TRANSITIONS[match[1] || '']) {
+    return { group: 'transition', declarations: `transition-property: ${TRANSITIONS[match[1] || '']}; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms` };
+  }
+  if ((match = /^duration-(\d+)$/.exec(name))) return { group: 'transition', declarations: `transition-duration: ${match[1]}ms` };
+  return null;
+}
+
+function groupOfStatic(name) {
+  if (/^(static|relative|absolute|fixed|sticky)$/.test(name)) return 'position';
+  if (name.startsWith('float-')) return 'float';
+  if (/^m[xlrt]-auto$/.test(name)) return 'margin';
+  if (/^(block|inline-block|inline|flex|inline-flex|grid|table|contents|hidden)$/.test(name)) return 'display';
+  if (/^(w|h|min-w|min-h|max-h)-/.test(name)) return 'size';
+  if (/^(flex|grow|shrink|items|justify|self)-/.test(name) || name === 'grow') return 'flex';
+  if (name.startsWith('col-')) return 'grid';
+  if (name.startsWith('overflow-')) return 'overflow';
+  if (name.startsWith('whitespace-') || name.startsWith('break-') || name === 'truncate') return 'whitespace';
+  if (name.startsWith('border-')) return 'border';
+  if (name.startsWith('text-')) return 'text-align';
+  if (/^(italic|not-italic|uppercase|lowercase)$/.test(name)) return 'font';
+  if (/^(underline|line-through|no-underline)$/.test(name)) return 'decoration';
+  if (name === 'transform') return 'transform';
+  if (name.startsWith('ease-')) return 'transition';
+  return 'misc';
+}
+
+// 余白の値 (1 = 0.25rem)。[12px] のような値もそのまま使う
+function spacing(value, negative = false) {
+  let result = null;
+  if (value === '0') result = '0px';
+  else if (value === 'px') result = '1px';
+  else if (/^\d+(\.5)?$/.test(value)) result = `${Number(value) / 4}rem`;
+  else result = arbitrary(value);
+  if (result === null) return null;
+  return negative ? `-${result}` : result;
+}
+
+function fraction(value) {
+  const match = /^(\d+)\/(\d+)$/.exec(value);
+  return match ? `${+(Number(match[1]) / Number(match[2]) * 100).toFixed(6)}%` : null;
+}
+
+function arbitrary(value) {
+  const match = /^\[([^\]]+)\]$/.exec(value);
+  return match ? match[1].replace(/_/g, ' ') : null;
+}
+
+function color(value) {
+  if (NAMED_COLORS[value]) return NAMED_COLORS[value];
+  const match = /^([a-z]+)-(\d+)$/.exec(value);
+  if (!match || !PALETTE[match[1]]) return null;
+  const index = SHADES.indexOf(match[2]);
+  return index === -1 ? null : PALETTE[match[1]][index];
+}
+
+// side: '' | t r b l x y
+function sides(side, prop, value, suffix = '') {
+  const names = { '': [''], t: ['-top'], r: ['-right'], b: ['-bottom'], l: ['-left'], x: ['-left', '-right'], y: ['-top', '-bottom'] }[side];
+  return names.map(name => `${prop}${name}${suffix}: ${value}`).join('; ');
+}
+
+// --- 書き出し ---
+
+function compareRules(a, b) {
+  const screenIndex = (rule) => (rule.screen ? Object.keys(SCREENS).indexOf(rule.screen) + 1 : 0);
+  return (screenIndex(a) - screenIndex(b)) ||
+    (a.states.length - b.states.length) ||
+    (ORDER.indexOf(a.group) - ORDER.indexOf(b.group)) ||
+    (a.className < b.className ? -1 : a.className > b.className ? 1 : 0);
+}
+
+function renderRule(rule) {
+  const selector = `.${escapeClassName(rule.className)}`;
+  let body;
+  if (rule.custom === 'container') {
+    body = [`${selector} { width: 100% }`, ...Object.values(SCREENS).map(width => `@media (min-width: ${width}) { ${selector} { max-width: ${width} } }`)].join('\n');
+  } else {
+    const full = rule.states.reduce((sel, state) => (state === 'group-hover' ? `.group:hover ${sel}` : `${sel}${STATES[state]}`), selector);
+    body = `${full}${rule.selectorSuffix || ''} { ${rule.declarations} }`;
+  }
+  return rule.screen ? `@media (min-width: ${SCREENS[rule.screen]}) { ${body} }` : body;
+}
+
+function escapeClassName(name) {
+  return name.replace(/[^a-zA-Z0-9_-]/g, ch => `\\${ch}`);
+}
+
+// 基本のスタイル (Tailwind v3 の Preflight と同じ内容)
+const PREFLIGHT = `*, ::before, ::after { box-sizing: border-box; border-width: 0; border-style: solid; border-color: #e5e7eb;
+  --tw-translate-x: 0; --tw-translate-y: 0; --tw-rotate: 0; --tw-scale-x: 1; --tw-scale-y: 1;
+  --tw-ring-color: rgb(59 130 246 / 0.5); --tw-ring-offset-shadow: 0 0 #0000; --tw-ring-shadow: 0 0 #0000; --tw-shadow: 0 0 #0000 }
+html, :host { line-height: 1.5; -webkit-text-size-adjust: 100%; tab-size: 4; font-family: ${FONT_FAMILIES.sans}; -webkit-tap-highlight-color: transparent }
+body { margin: 0; line-height: inherit }
+hr { height: 0; color: inherit; border-top-width: 1px }
+abbr:where([title]) { text-decoration: underline dotted }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit }
+a { color: inherit; text-decoration: inherit }
+b, strong { font-weight: bolder }
+code, kbd, samp, pre { font-family: ${FONT_FAMILIES.mono}; font-size: 1em }
+small { font-size: 80% }
+sub, sup { font-size: 75%; line-height: 0; position: relative; vertical-align: baseline }
+sub { bottom: -0.25em }
+sup { top: -0.5em }
+table { text-indent: 0; border-color: inherit; border-collapse: collapse }
+button, input, optgroup, select, textarea { font-family: inherit; font-feature-settings: inherit; font-variation-settings: inherit; font-size: 100%; font-weight: inherit; line-height: inherit; letter-spacing: inherit; color: inherit; margin: 0; padding: 0 }
+button, select { text-transform: none }
+button, input:where([type='button']), input:where([type='reset']), input:where([type='submit']) { -webkit-appearance: button; background-color: transparent; background-image: none }
+:-moz-focusring { outline: auto }
+progress { vertical-align: baseline }
+::-webkit-inner-spin-button, ::-webkit-outer-spin-button { height: auto }
+[type='search'] { -webkit-appearance: textfield; outline-offset: -2px }
+::-webkit-search-decoration { -webkit-appearance: none }
+::-webkit-file-upload-button { -webkit-appearance: button; font: inherit }
+summary { display: list-item }
+blockquote, dl, dd, h1, h2, h3, h4, h5, h6, hr, figure, p, pre { margin: 0 }
+fieldset { margin: 0; padding: 0 }
+legend { padding: 0 }
+ol, ul, menu { list-style: none; margin: 0; padding: 0 }
+dialog { padding: 0 }
+textarea { resize: vertical }
+input::placeholder, textarea::placeholder { opacity: 1; color: #9ca3af }
+button, [role="button"] { cursor: pointer }
+:disabled { cursor: default }
+img, svg, video, canvas, audio, iframe, embed, object { display: block; vertical-align: middle }
+img, video { max-width: 100%; height: auto }
+[hidden] { display: none }`;
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// cli.mjs: 自動割り当てを Node で実行するコマンド (allocation.js を index.html と共通に使う)
+// マスターデータ管理の「エクスポート」と、配車調整アプリの「ファイル保存」の JSON を読み、割り当て結果を入れた状態の JSON を書き出す。
+// 書き出したファイルは配車調整アプリの「ファイル読込み」でそのまま開ける。
+//
+// 使い方: node cli.mjs --master <マスターデータ.json> --state <状態.json> [--leg <行程のIDまたは名前>] [--seed <シード>] [--out <出力.json>]
+//   --leg  を省くと全行程を割り当てる (「前の行程と同じ組み合わせを優先」は状態の設定に従う)
+//   --seed を省くと行程に保存されたシード (無ければ新しいシード) を使う
+//   --out  を省くと標準出力へ書き出す。警告・エラーは標準エラー出力へ
+// 終了コード: 0 = 割り当てた / 1 = ファイルや選択に問題があり割り当てなかった / 2 = 引数の誤り
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { STATE_FORMAT_VERSION, prepareMasterImport, prepareStateImport } from './format.js';
+import { createAllocationContext, prepareAllocation, runAllocation, generateSeed, scorePlan, findConstraintViolations } from './allocation.js';
+import { findParkingIssues } from './parking.js';
+import { findSeatIssues } from './seats.js';
+
+const USAGE = '使い方: node cli.mjs --master <マスターデータ.json> --state <状態.json> [--leg <行程のIDまたは名前>] [--seed <シード>] [--out <出力.json>]';
+const HISTORY_LIMIT = 30; // 行程ごとに残す編集履歴の件数 (index.html と同じ)
+
+class UsageError extends Error {}
+
+/**
+ * 引数を読み取ります。
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {{ master: string, state: string, leg: string|null, seed: number|null, out: string|null }}
+ */
+function readOptions(args) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args,
+      options: {
+        master: { type: 'string' },
+        state: { type: 'string' },
+        leg: { type: 'string' },
+        seed: { type: 'string' },
+        out: { type: 'string' }
+      }
+    }));
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (!values.master || !values.state) throw new UsageError('--master と --state を指定してください。');
+  let seed = null;
+  if (values.seed !== undefined) {
+    seed = Number(values.seed);
+    if (!Number.isInteger(seed) || seed < 0) throw new UsageError(`--seed (${values.seed}) は 0 以上の整数で指定してください。`);
+  }
+  return { master: values.master, state: values.state, leg: values.leg ?? null, seed, out: values.out ?? null };
+}
+
+function readJson(path, label) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    return { data: null, errors: [`${label} (${path}) を読み込めません: ${err.message}`] };
+  }
+  try {
+    return { data: JSON.parse(text.replace(/^\uFEFF/, '')), errors: [] };
+  } catch (err) {
+    return { data: null, errors: [`${label} (${path}) が JSON ではありません: ${err.message}`] };
+  }
+}
+
+// 未入力の駐車場名を「駐車場1」などで補う (index.html の withParkingDefaults と同じ)
+function withParkingDefaults(info) {
+  return {
+    groundName: info.groundName || '',
+    distanceKm: info.distanceKm || 0,
+    lots: info.lots.map((lot, index) => ({ ...lot, name: lot.name || `駐車場${index + 1}` }))
+  };
+}
+
+/**
+ * 状態の行程を割り当てます。
+ * @param {Object} masterData - prepareMasterImport の masterData
+ * @param {Object} state - prepareStateImport の state
+ * @param {{ leg: string|null, seed: number|null }} options
+ * @returns {{ state: Object|null, errors: Array<string>, reports: Array<string> }}
+ *   errors が空でなければ state は null。reports は行程ごとの結果と警告
+ */
+export function allocateState(masterData, state, { leg: legKey = null, seed = null } = {}) {
+  const errors = [];
+  const reports = [];
+  const targets = legKey === null ? state.legs : state.legs.filter(leg => leg.id === legKey || leg.name === legKey);
+  if (targets.length === 0) {
+    errors.push(`行程「${legKey}」が見つかりません (${state.legs.map(leg => leg.name).join('、')})。`);
+    return { state: null, errors, reports };
+  }
+
+  const legs = state.legs.map(leg => ({ ...leg }));
+  targets.forEach(target => {
+    const index = state.legs.indexOf(target);
+    const leg = legs[index];
+    const label = state.legs.length > 1 ? `行程${index + 1}「${leg.name}」: ` : '';
+    const parkingInfo = withParkingDefaults(leg.parkingInfo);
+
+    // 「前の行程と同じ組み合わせを優先」の参照先: この行程より前で、割り当て済みの直近の行程
+    const previous = state.keepSeatingAcrossLegs ? legs.slice(0, index).reverse().find(l => l.currentAssignments.length > 0) : null;
+    const { input, errors: inputErrors } = prepareAllocation(masterData, {
+      selectedParticipantIds: state.selectedParticipantIds,
+      participantData: state.participantData,
+      selectedCarIds: leg.selectedCarIds,
+      selectedDrivers: leg.selectedDrivers,
+      selectedLuggage: leg.selectedLuggage,
+      excludedParticipantIds: leg.excludedParticipantIds,
+      parkingInfo
+    }, previous ? previous.currentAssignments : null);
+    if (!input) {
+      errors.push(...inputErrors.map(error => label + error));
+      return;
+    }
+
+    const context = createAllocationContext({ ...masterData, groundName: parkingInfo.groundName });
+    const legSeed = seed ?? (Number.isInteger(leg.allocationSeed) ? leg.allocationSeed : generateSeed());
+    const assignments = runAllocation(input, legSeed, context);
+
+    // アプリの「割り当て実行」と同じく、変更前の結果を編集履歴に積む
+    const history = leg.history || { undo: [], redo: [] };
+    leg.history = { undo: [...history.undo, { label: '割り当て実行', assignments: leg.currentAssignments, allocationSeed: leg.allocationSeed }].slice(-HISTORY_LIMIT), redo: [] };
+    leg.currentAssignments = JSON.parse(JSON.stringify(assignments));
+    leg.allocationSeed = legSeed;
+
+    const score = scorePlan(assignments, context, input.previousPairs);
+    reports.push(`${label}シード ${legSeed} / スコア ${score.total} (一致 ${score.affinity} / ひとりの選手 ${score.isolated}台 / ルール違反 ${score.violations}件)`);
+    const violations = findConstraintViolations(assignments, context.constraints, masterData.cars);
+    [...input.warnings, ...findParkingIssues(assignments, parkingInfo.lots), ...findSeatIssues(assignments), ...violations.map(v => `同乗ルール: ${v}`)]
+      .forEach(warning => reports.push(`  警告: ${warning}`));
+  });
+  if (errors.length > 0) return { state: null, errors, reports: [] };
+  return { state: { ...state, formatVersion: STATE_FORMAT_VERSION, legs }, errors, reports };
+}
+
+function main(args) {
+  const options = readOptions(args);
+
+  const masterFile = readJson(options.master, 'マスターデータ');
+  const stateFile = readJson(options.state, '状態');
+  const fileErrors = [...masterFile.errors, ...stateFile.errors];
+  if (fileErrors.length > 0) return fail(fileErrors);
+
+  const master = prepareMasterImport(masterFile.data);
+  if (master.errors.length > 0) return fail(master.errors.map(error => `マスターデータ: ${error}`));
+  const imported = prepareStateImport(stateFile.data, master.masterData.families, master.masterData.cars);
+  if (imported.errors.length > 0) return fail(imported.errors.map(error => `状態: ${error}`));
+  [...master.repairs.map(r => `マスターデータ: ${r}`), ...imported.repairs.map(r => `状態: ${r}`)]
+    .forEach(repair => console.error(`修復: ${repair}`));
+
+  const result = allocateState(master.masterData, imported.state, options);
+  if (result.errors.length > 0) return fail(result.errors);
+  result.reports.forEach(line => console.error(line));
+
+  const json = JSON.stringify(result.state, null, 2);
+  if (options.out) writeFileSync(options.out, json + '\n');
+  else process.stdout.write(json + '\n');
+  return 0;
+}
+
+function fail(errors) {
+  errors.forEach(error => console.error(`エラー: ${error}`));
+  return 1;
+}
+
+// import された場合 (テスト) は実行しない
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`エラー: ${err.message}\n${USAGE}`);
+    process.exitCode = 2;
+  }
+}
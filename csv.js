@@ -0,0 +1,73 @@
+// csv.js: CSV/TSV の読み込みヘルパーモジュール
+
+/**
+ * 区切り文字を推定します。(1行目にタブがあれば TSV、それ以外は CSV)
+ * @param {string} text - 読み込むテキスト
+ * @returns {string} '\t' または ','
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return firstLine.includes('\t') ? '\t' : ',';
+}
+
+/**
+ * CSV/TSV を行 (セルの配列) の配列に変換します。
+ * ダブルクォートで囲まれたセル (区切り文字・改行・"" を含む) に対応します。空行は除きます。
+ * @param {string} text - 読み込むテキスト
+ * @param {string} [delimiter] - 区切り文字 (省略時は detectDelimiter で推定)
+ * @returns {Array<Array<string>>} 行の配列
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, ''); // Excel の BOM を除く
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * 行 (セルの配列) の配列を CSV/TSV のテキストに変換します。
+ * 区切り文字・改行・ダブルクォートを含むセルはダブルクォートで囲みます。
+ * @param {Array<Array<string|number>>} rows - 行の配列
+ * @param {string} [delimiter=','] - 区切り文字
+ * @returns {string} CSV/TSV のテキスト (改行は CRLF)
+ */
+export function toDelimited(rows, delimiter = ',') {
+  return rows.map(cells => cells.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter)).join('\r\n');
+}
@@ -1,14 +1,59 @@
 // db.js: IndexedDBヘルパーモジュール
 
+import { venuesFromSavedParking } from './venues.js';
+import { attributesFromMemberData } from './attributes.js';
+
 const DB_NAME = 'CarDispatchDB';
-const DB_VERSION = 3; // ★ バージョンを3に更新
+const DB_VERSION = 12; // ★ バージョンを12に更新 (参加者の項目)
 const STORE_FAMILIES = 'families';
 const STORE_CARS = 'cars';
 const STORE_SAVED_STATES = 'savedStates';
-const STORE_SAVED_PARKING = 'savedParking';
+const STORE_SAVED_PARKING = 'savedParking'; // v8 で削除 (会場に移行)
+const STORE_CONSTRAINTS = 'constraints';
+const STORE_EVENTS = 'events';
+const STORE_SNAPSHOTS = 'snapshots';
+const STORE_VENUES = 'venues';
+const STORE_TEMPLATES = 'templates';
+const STORE_SETTINGS = 'settings';
+const STORE_TOMBSTONES = 'tombstones';
+const STORE_SYNC_PEERS = 'syncPeers';
+const STORE_PICKUP_POINTS = 'pickupPoints';
+const STORE_ATTRIBUTES = 'attributes';
 
 let db;
 
+// ★ 新規: 端末間の同期 (sync.js) のため、マスターデータ (家族・車・会場・同乗ルール・乗車場所・参加者の項目) は保存時に更新日時を付け、
+// 削除時は削除の記録 (tombstone) を残す。記録のキーは家族名・車のID・会場名・ルールのID・乗車場所のID・項目のキー (端末が変わっても同じ値)
+const withUpdatedAt = (record) => ({ ...record, updatedAt: Date.now() });
+
+function putTombstone(tx, storeName, key) {
+    tx.objectStore(STORE_TOMBSTONES).put({ id: `${storeName}:${key}`, store: storeName, key, deletedAt: Date.now() });
+}
+
+// 削除の記録のキーにする項目 (会場は id を端末ごとに採番するため名前)
+const SYNC_KEY_FIELDS = {
+    [STORE_FAMILIES]: 'familyName',
+    [STORE_CARS]: 'id',
+    [STORE_VENUES]: 'name',
+    [STORE_CONSTRAINTS]: 'id',
+    [STORE_PICKUP_POINTS]: 'id',
+    [STORE_ATTRIBUTES]: 'key'
+};
+
+// ストアを空にし、nextRecords に無くなる記録は削除の記録を残す (clear だけだと、同期で相手の端末から戻ってくる)
+function clearStoreWithTombstones(tx, storeName, nextRecords = []) {
+    const store = tx.objectStore(storeName);
+    const field = SYNC_KEY_FIELDS[storeName];
+    const nextKeys = new Set(nextRecords.map(record => record[field]));
+    const request = store.getAll();
+    request.onsuccess = () => {
+        request.result
+            .filter(record => !nextKeys.has(record[field]))
+            .forEach(record => putTombstone(tx, storeName, record[field]));
+    };
+    return store.clear();
+}
+
 /**
  * データベースを開き、必要に応じて初期化します。
  * @param {Array} defaultFamilies - DBが空の場合に投入するデフォルトの家族データ
@@ -104,6 +149,98 @@ export function openDB(defaultFamilies = [], defaultCars = []) {
           // タイムスタンプでソートできるようにインデックス作成
           parkingStore.createIndex('timestamp', 'timestamp', { unique: false });
       }
+
+      // --- ★ v4 (同乗ルール) ---
+      if (oldVersion < 4) {
+          // 同乗ルールストア (主キー: id)
+          if (!tempDb.objectStoreNames.contains(STORE_CONSTRAINTS)) {
+              tempDb.createObjectStore(STORE_CONSTRAINTS, { keyPath: 'id' });
+          }
+      }
+
+      // --- ★ v5 (試合の記録) ---
+      if (oldVersion < 5) {
+          // 試合の記録ストア (件数制限なし)
+          if (!tempDb.objectStoreNames.contains(STORE_EVENTS)) {
+              const eventsStore = tempDb.createObjectStore(STORE_EVENTS, { keyPath: 'id', autoIncrement: true });
+              // 日付で検索・ソートできるようにインデックス作成
+              eventsStore.createIndex('date', 'date', { unique: false });
+          }
+      }
+
+      // --- ★ v6 (名簿のスナップショット) ---
+      if (oldVersion < 6) {
+          // 進級などの一括変更を元に戻すためのスナップショット
+          if (!tempDb.objectStoreNames.contains(STORE_SNAPSHOTS)) {
+              const snapshotsStore = tempDb.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+              snapshotsStore.createIndex('timestamp', 'timestamp', { unique: false });
+          }
+      }
+
+      // --- ★ v7・v8 (会場の一覧。保存済み駐車場を置き換え) ---
+      // ★ 修正: savedParking ストアは会場に移して削除する。v7 までの形式 (parkingInfo) の駐車場も、
+      // 会場へ移すときに venuesFromSavedParking で複数の駐車場 (lots) に直すため、v7 だけの変換はしない
+      if (oldVersion < 8) {
+          // 会場ストア (件数制限なし)
+          if (!tempDb.objectStoreNames.contains(STORE_VENUES)) {
+              const venuesStore = tempDb.createObjectStore(STORE_VENUES, { keyPath: 'id', autoIncrement: true });
+              venuesStore.createIndex('name', 'name', { unique: false });
+          }
+          // 保存済み駐車場をグラウンド名ごとに (最新のものを) 会場へ移してからストアを削除
+          if (tempDb.objectStoreNames.contains(STORE_SAVED_PARKING)) {
+              const getAllRequest = tx.objectStore(STORE_SAVED_PARKING).getAll();
+              getAllRequest.onsuccess = () => {
+                  const venues = venuesFromSavedParking(getAllRequest.result || []);
+                  const venuesStore = tx.objectStore(STORE_VENUES);
+                  venues.forEach(venue => venuesStore.put(venue));
+                  tempDb.deleteObjectStore(STORE_SAVED_PARKING);
+              };
+          }
+      }
+
+      // --- ★ v9 (テキスト出力のテンプレート・設定) ---
+      if (oldVersion < 9) {
+          // 利用者が作ったテンプレート (主キー: id。組み込みのプリセットは templates.js にあり保存しない)
+          if (!tempDb.objectStoreNames.contains(STORE_TEMPLATES)) {
+              tempDb.createObjectStore(STORE_TEMPLATES, { keyPath: 'id' });
+          }
+          // 画面の設定 (主キー: key。例: 最後に使ったテンプレート)
+          if (!tempDb.objectStoreNames.contains(STORE_SETTINGS)) {
+              tempDb.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+          }
+      }
+
+      // --- ★ v10 (端末間の同期) ---
+      if (oldVersion < 10) {
+          // 削除の記録 (主キー: 'ストア名:キー')
+          if (!tempDb.objectStoreNames.contains(STORE_TOMBSTONES)) {
+              tempDb.createObjectStore(STORE_TOMBSTONES, { keyPath: 'id' });
+          }
+          // 同期した相手の端末と、最後に受け取った同期データ (3者間マージの共通の祖先に使う)
+          if (!tempDb.objectStoreNames.contains(STORE_SYNC_PEERS)) {
+              tempDb.createObjectStore(STORE_SYNC_PEERS, { keyPath: 'deviceId' });
+          }
+      }
+
+      // --- ★ v11 (乗車場所) ---
+      if (oldVersion < 11) {
+          if (!tempDb.objectStoreNames.contains(STORE_PICKUP_POINTS)) {
+              tempDb.createObjectStore(STORE_PICKUP_POINTS, { keyPath: 'id' });
+          }
+      }
+
+      // --- ★ v12 (参加者の項目と重み) ---
+      if (oldVersion < 12) {
+          if (!tempDb.objectStoreNames.contains(STORE_ATTRIBUTES)) {
+              tempDb.createObjectStore(STORE_ATTRIBUTES, { keyPath: 'key' });
+          }
+          // 以前の学年・学校・その他と、参加者の data にあったほかのキーを項目にする
+          const getAllRequest = tx.objectStore(STORE_FAMILIES).getAll();
+          getAllRequest.onsuccess = () => {
+              const attributesStore = tx.objectStore(STORE_ATTRIBUTES);
+              attributesFromMemberData(getAllRequest.result || []).forEach(attribute => attributesStore.put(attribute));
+          };
+      }
       
     };
   });
@@ -153,7 +290,7 @@ export function addFamily(family) {
     if (!db) return reject('DB not open');
     const tx = db.transaction(STORE_FAMILIES, 'readwrite');
     const store = tx.objectStore(STORE_FAMILIES);
-    const request = store.put(family);
+    const request = store.put(withUpdatedAt(family));
     request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
@@ -178,7 +315,7 @@ export function bulkAddFamilies(families) {
         }
 
         families.forEach(family => {
-            const request = store.put(family);
+            const request = store.put(withUpdatedAt(family));
             request.onsuccess = () => {
                 count++;
                 if (count === families.length) {
@@ -208,11 +345,11 @@ export function bulkAddFamilies(families) {
 export function deleteFamily(familyName) {
   return new Promise((resolve, reject) => {
     if (!db) return reject('DB not open');
-    const tx = db.transaction(STORE_FAMILIES, 'readwrite');
-    const store = tx.objectStore(STORE_FAMILIES);
-    const request = store.delete(familyName);
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
+    const tx = db.transaction([STORE_FAMILIES, STORE_TOMBSTONES], 'readwrite');
+    tx.objectStore(STORE_FAMILIES).delete(familyName);
+    putTombstone(tx, STORE_FAMILIES, familyName); // ★ 新規: 同期用の削除の記録
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
   });
 }
 
@@ -223,11 +360,10 @@ export function deleteFamily(familyName) {
 export function clearFamilies() {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_FAMILIES, 'readwrite');
-        const store = tx.objectStore(STORE_FAMILIES);
-        const request = store.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
+        const tx = db.transaction([STORE_FAMILIES, STORE_TOMBSTONES], 'readwrite');
+        clearStoreWithTombstones(tx, STORE_FAMILIES); // ★ 修正: 同期用の削除の記録を残す
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
     });
 }
 
@@ -276,7 +412,7 @@ export function addCar(car) {
     if (!db) return reject('DB not open');
     const tx = db.transaction(STORE_CARS, 'readwrite');
     const store = tx.objectStore(STORE_CARS);
-    const request = store.put(car);
+    const request = store.put(withUpdatedAt(car));
     request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
@@ -301,7 +437,7 @@ export function bulkAddCars(cars) {
         }
         
         cars.forEach(car => {
-            const request = store.put(car);
+            const request = store.put(withUpdatedAt(car));
             request.onsuccess = () => {
                 count++;
                 if (count === cars.length) {
@@ -331,11 +467,11 @@ export function bulkAddCars(cars) {
 export function deleteCar(carId) {
   return new Promise((resolve, reject) => {
     if (!db) return reject('DB not open');
-    const tx = db.transaction(STORE_CARS, 'readwrite');
-    const store = tx.objectStore(STORE_CARS);
-    const request = store.delete(carId);
-    request.onsuccess = () => resolve();
-    request.onerror = () => reject(request.error);
+    const tx = db.transaction([STORE_CARS, STORE_TOMBSTONES], 'readwrite');
+    tx.objectStore(STORE_CARS).delete(carId);
+    putTombstone(tx, STORE_CARS, carId); // ★ 新規: 同期用の削除の記録
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
   });
 }
 
@@ -346,13 +482,109 @@ export function deleteCar(carId) {
 export function clearCars() {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_CARS, 'readwrite');
-        const store = tx.objectStore(STORE_CARS);
-        const request = store.clear();
+        const tx = db.transaction([STORE_CARS, STORE_TOMBSTONES], 'readwrite');
+        clearStoreWithTombstones(tx, STORE_CARS); // ★ 修正: 同期用の削除の記録を残す
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// --- ★ 新規: 同乗ルール (Constraints) ---
+
+/**
+ * すべての同乗ルールを取得します。
+ * @returns {Promise<Array>} ルールデータの配列
+ */
+export function getAllConstraints() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_CONSTRAINTS, 'readonly');
+        const store = tx.objectStore(STORE_CONSTRAINTS);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 同乗ルールを追加または更新します。
+ * @param {Object} constraint - 保存するルール { id, type: 'together'|'apart', subjectId, targetType: 'member'|'car', targetId, memo }
+ * @returns {Promise<void>}
+ */
+export function addConstraint(constraint) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_CONSTRAINTS, 'readwrite');
+        const store = tx.objectStore(STORE_CONSTRAINTS);
+        const request = store.put(withUpdatedAt(constraint));
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
     });
 }
+// updateConstraint は addConstraint と同じ
+export const updateConstraint = addConstraint;
+
+/**
+ * 複数の同乗ルールを一括で追加または更新します。(インポート用)
+ * @param {Array} constraints - 保存するルールの配列
+ * @returns {Promise<void>}
+ */
+export function bulkAddConstraints(constraints) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_CONSTRAINTS, 'readwrite');
+        const store = tx.objectStore(STORE_CONSTRAINTS);
+
+        if (constraints.length === 0) {
+            return resolve();
+        }
+
+        constraints.forEach(constraint => {
+            const request = store.put(withUpdatedAt(constraint));
+            request.onerror = (e) => {
+                tx.abort();
+                console.error('bulkAddConstraints error during put:', e.target.error);
+                reject(e.target.error);
+            }
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => {
+            console.error('bulkAddConstraints transaction error:', tx.error);
+            reject(tx.error);
+        }
+    });
+}
+
+/**
+ * 同乗ルールを削除します。
+ * @param {string} id - 削除するルールのID
+ * @returns {Promise<void>}
+ */
+export function deleteConstraint(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_CONSTRAINTS, STORE_TOMBSTONES], 'readwrite');
+        tx.objectStore(STORE_CONSTRAINTS).delete(id);
+        putTombstone(tx, STORE_CONSTRAINTS, id); // ★ 新規: 同期用の削除の記録
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * すべての同乗ルールを削除します。(インポート用)
+ * @returns {Promise<void>}
+ */
+export function clearConstraints() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_CONSTRAINTS, STORE_TOMBSTONES], 'readwrite');
+        clearStoreWithTombstones(tx, STORE_CONSTRAINTS); // ★ 修正: 同期用の削除の記録を残す
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
 
 // --- ★ 新規: 保存済み状態 (Saved States) ---
 
@@ -438,18 +670,19 @@ export function addSavedState(stateData, limit = 5) {
     });
 }
 
-// --- ★ 修正: 保存済み駐車場 (Saved Parking) ---
+// --- ★ 新規: 試合の記録 (Events) ---
+// savedStates と違い件数制限は設けない (シーズンを通して振り返るため)
 
 /**
- * IDで単一の保存済み駐車場データを取得します。
- * @param {number} id - 取得する駐車場データのID
- * @returns {Promise<Object|undefined>} 駐車場データ
+ * IDで単一の試合の記録を取得します。
+ * @param {number} id - 取得する記録のID
+ * @returns {Promise<Object|undefined>} 記録データ
  */
-export function getSavedParking(id) {
+export function getEvent(id) {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readonly');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
+        const tx = db.transaction(STORE_EVENTS, 'readonly');
+        const store = tx.objectStore(STORE_EVENTS);
         const request = store.get(id);
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
@@ -457,23 +690,19 @@ export function getSavedParking(id) {
 }
 
 /**
- * すべての保存済み駐車場データをタイムスタンプ降順で取得します。
- * @returns {Promise<Array>} 駐車場データの配列
+ * すべての試合の記録を日付の新しい順で取得します。
+ * @returns {Promise<Array>} 記録データの配列
  */
-export function getAllSavedParking() {
+export function getAllEvents() {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readonly');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
-        // const index = store.index('timestamp');
-        // 降順 (prev) で取得
-        // const request = index.getAll(null, 'prev'); // ★ 誤り
-        const request = store.getAll(); // ★ 修正: まず全件取得
-        
+        const tx = db.transaction(STORE_EVENTS, 'readonly');
+        const store = tx.objectStore(STORE_EVENTS);
+        const request = store.getAll();
         request.onsuccess = () => {
-            // ★ 修正: 取得後にJSでソート
             const result = request.result || [];
-            result.sort((a, b) => b.timestamp - a.timestamp); // 降順ソート
+            // 日付の降順、同じ日なら保存日時の降順
+            result.sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.timestamp - a.timestamp);
             resolve(result);
         };
         request.onerror = () => reject(request.error);
@@ -481,87 +710,423 @@ export function getAllSavedParking() {
 }
 
 /**
- * 駐車場データを追加し、古いデータを削除して件数制限（limit）を守ります。
- * ★ v3: 同名（グラウンド名）でも別データとして保存します。
- * @param {Object} parkingData - 保存する駐車場データ { groundName, parkingInfo: {...}, timestamp }
- * @param {number} limit - 最大保存件数
+ * 試合の記録を追加または更新します。(id があれば上書き)
+ * @param {Object} eventData - 保存する記録 { id?, date: 'YYYY-MM-DD', groundName, opponent, memo, timestamp, state }
+ * @returns {Promise<number>} 保存した記録のID
+ */
+export function addEvent(eventData) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_EVENTS, 'readwrite');
+        const store = tx.objectStore(STORE_EVENTS);
+        const request = store.put(eventData);
+        let id;
+        request.onsuccess = () => { id = request.result; };
+        tx.oncomplete = () => resolve(id);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export const updateEvent = addEvent;
+
+/**
+ * 試合の記録を削除します。
+ * @param {number} id - 削除する記録のID
  * @returns {Promise<void>}
  */
-export function addSavedParking(parkingData, limit = 20) {
+export function deleteEvent(id) {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readwrite');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
-        
-        // ★ v3: 重複チェックロジックは不要 (同名グラウンドも保存許可)
-        
-        // 1. データを追加
-        store.put(parkingData).onsuccess = () => {
-            // 2. 件数をチェック
-            store.count().onsuccess = (e) => {
-                const count = e.target.result;
-                if (count > limit) {
-                    // 3. 上限を超えていたら、古いもの（昇順カーソルの先頭）を削除
-                    const itemsToDelete = count - limit;
-                    let deletedCount = 0;
-                    const tsIndex = store.index('timestamp');
-                    const cursorRequest = tsIndex.openCursor(null, 'next'); // 昇順
-                    
-                    cursorRequest.onsuccess = (event) => {
-                        const cursor = event.target.result;
-                        if (cursor && deletedCount < itemsToDelete) {
-                            cursor.delete(); // 古い項目を削除
-                            deletedCount++;
-                            cursor.continue();
-                        }
-                    };
-                }
-            };
+        const tx = db.transaction(STORE_EVENTS, 'readwrite');
+        const store = tx.objectStore(STORE_EVENTS);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- ★ 新規: 名簿のスナップショット (Snapshots) ---
+// 進級 (シーズンの切り替え) の直前の家族データを保存し、元に戻せるようにする
+
+/**
+ * スナップショットを保存します。
+ * @param {Object} snapshot - { type: 'rollover', season, timestamp, families }
+ * @returns {Promise<number>} 保存したスナップショットのID
+ */
+export function addSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_SNAPSHOTS, 'readwrite');
+        const store = tx.objectStore(STORE_SNAPSHOTS);
+        const request = store.add(snapshot);
+        let id;
+        request.onsuccess = () => { id = request.result; };
+        tx.oncomplete = () => resolve(id);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * すべてのスナップショットを新しい順で取得します。
+ * @returns {Promise<Array>} スナップショットの配列
+ */
+export function getAllSnapshots() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_SNAPSHOTS, 'readonly');
+        const store = tx.objectStore(STORE_SNAPSHOTS);
+        const request = store.getAll();
+        request.onsuccess = () => resolve((request.result || []).sort((a, b) => b.timestamp - a.timestamp));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * スナップショットの家族データに戻し、そのスナップショットを削除します。(1つのトランザクションで行う)
+ * @param {Object} snapshot - getAllSnapshots で取得したスナップショット
+ * @returns {Promise<void>}
+ */
+export function restoreFamiliesSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_FAMILIES, STORE_SNAPSHOTS, STORE_TOMBSTONES], 'readwrite');
+        const familyStore = tx.objectStore(STORE_FAMILIES);
+        // 進級の後に追加した家族は削除の記録を残して消す
+        clearStoreWithTombstones(tx, STORE_FAMILIES, snapshot.families);
+        snapshot.families.forEach(family => familyStore.put(withUpdatedAt(family)));
+        tx.objectStore(STORE_SNAPSHOTS).delete(snapshot.id);
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// --- ★ 新規: 会場 (Venues) ---
+
+/**
+ * すべての会場を名前順で取得します。
+ * @returns {Promise<Array>} 会場データの配列
+ */
+export function getAllVenues() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_VENUES, 'readonly');
+        const store = tx.objectStore(STORE_VENUES);
+        const request = store.getAll();
+        request.onsuccess = () => {
+            const result = request.result || [];
+            result.sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+            resolve(result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 会場を追加または更新します。(id が無ければ追加)
+ * @param {Object} venue - 保存する会場データ (venues.js の形式)
+ * @returns {Promise<number>} 保存した会場のID
+ */
+export function putVenue(venue) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_VENUES, 'readwrite');
+        const store = tx.objectStore(STORE_VENUES);
+        const record = withUpdatedAt(venue);
+        if (record.id === undefined || record.id === null) delete record.id; // autoIncrement で採番
+        const request = store.put(record);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IDで指定された会場を削除します。
+ * @param {number} id - 削除する会場のID
+ * @returns {Promise<void>}
+ */
+export function deleteVenue(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_VENUES, STORE_TOMBSTONES], 'readwrite');
+        const store = tx.objectStore(STORE_VENUES);
+        // ★ 新規: 同期用の削除の記録は会場名で残す (ID は端末ごとに違うため)
+        const getRequest = store.get(id);
+        getRequest.onsuccess = () => {
+            if (getRequest.result) putTombstone(tx, STORE_VENUES, getRequest.result.name);
+            store.delete(id);
         };
-        
         tx.oncomplete = () => resolve();
         tx.onerror = () => reject(tx.error);
     });
 }
 
+
+// --- ★ 新規: 乗車場所 (Pickup Points) ---
+
+/**
+ * すべての乗車場所を名前順で取得します。
+ * @returns {Promise<Array>} 乗車場所データの配列 (pickups.js の形式)
+ */
+export function getAllPickupPoints() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_PICKUP_POINTS, 'readonly');
+        const store = tx.objectStore(STORE_PICKUP_POINTS);
+        const request = store.getAll();
+        request.onsuccess = () => {
+            const result = request.result || [];
+            result.sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+            resolve(result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 /**
- * ★ 新規: 複数の駐車場データを一括で追加または更新します。(インポート用)
- * @param {Array} parkingList - 保存する駐車場データの配列
+ * 乗車場所を追加または更新します。
+ * @param {Object} point - 保存する乗車場所 (pickups.js の形式。id は 'pp' + タイムスタンプ)
  * @returns {Promise<void>}
  */
-export function bulkAddParking(parkingList) {
+export function putPickupPoint(point) {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readwrite');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
-        let count = 0;
+        const tx = db.transaction(STORE_PICKUP_POINTS, 'readwrite');
+        const store = tx.objectStore(STORE_PICKUP_POINTS);
+        const request = store.put(withUpdatedAt(point));
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
 
-        if (parkingList.length === 0) {
-            return resolve();
-        }
-        
-        parkingList.forEach(parking => {
-            // インポートデータにidがあっても上書き（autoIncrement）させるため削除
-            delete parking.id; 
-            const request = store.put(parking);
-            request.onsuccess = () => {
-                count++;
-                if (count === parkingList.length) {
-                    // トランザクション自体の完了を待つ
+/**
+ * IDで指定された乗車場所を削除します。
+ * @param {string} id - 削除する乗車場所のID
+ * @returns {Promise<void>}
+ */
+export function deletePickupPoint(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_PICKUP_POINTS, STORE_TOMBSTONES], 'readwrite');
+        tx.objectStore(STORE_PICKUP_POINTS).delete(id);
+        putTombstone(tx, STORE_PICKUP_POINTS, id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+
+// --- ★ 新規: 参加者の項目 (Attributes) ---
+
+/**
+ * すべての参加者の項目を並び順で取得します。
+ * @returns {Promise<Array>} 項目データの配列 (attributes.js の形式)
+ */
+export function getAllAttributes() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_ATTRIBUTES, 'readonly');
+        const store = tx.objectStore(STORE_ATTRIBUTES);
+        const request = store.getAll();
+        request.onsuccess = () => {
+            const result = request.result || [];
+            result.sort((a, b) => a.order - b.order);
+            resolve(result);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 参加者の項目を追加または更新します。
+ * @param {Object} attribute - 保存する項目 (attributes.js の形式。key は 'attr' + タイムスタンプ)
+ * @returns {Promise<void>}
+ */
+export function putAttribute(attribute) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_ATTRIBUTES, 'readwrite');
+        const store = tx.objectStore(STORE_ATTRIBUTES);
+        const request = store.put(withUpdatedAt(attribute));
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * キーで指定された参加者の項目を削除します。
+ * @param {string} key - 削除する項目のキー
+ * @returns {Promise<void>}
+ */
+export function deleteAttribute(key) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_ATTRIBUTES, STORE_TOMBSTONES], 'readwrite');
+        tx.objectStore(STORE_ATTRIBUTES).delete(key);
+        putTombstone(tx, STORE_ATTRIBUTES, key);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+
+// --- ★ 新規: テキスト出力のテンプレート (Templates) ---
+
+/**
+ * 保存したすべてのテンプレートを名前順で取得します。(組み込みのプリセットは含まない)
+ * @returns {Promise<Array>} テンプレートの配列
+ */
+export function getAllTemplates() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_TEMPLATES, 'readonly');
+        const store = tx.objectStore(STORE_TEMPLATES);
+        const request = store.getAll();
+        request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.name.localeCompare(b.name, 'ja')));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * テンプレートを追加または更新します。
+ * @param {Object} template - 保存するテンプレート (templates.js の形式。id は 't' + タイムスタンプ)
+ * @returns {Promise<void>}
+ */
+export function putTemplate(template) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_TEMPLATES, 'readwrite');
+        const store = tx.objectStore(STORE_TEMPLATES);
+        const request = store.put(template);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IDで指定されたテンプレートを削除します。
+ * @param {string} id - 削除するテンプレートのID
+ * @returns {Promise<void>}
+ */
+export function deleteTemplate(id) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_TEMPLATES, 'readwrite');
+        const store = tx.objectStore(STORE_TEMPLATES);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// --- ★ 新規: 設定 (Settings) ---
+
+/**
+ * 設定の値を取得します。
+ * @param {string} key - 設定のキー
+ * @returns {Promise<*>} 設定の値 (無ければ undefined)
+ */
+export function getSetting(key) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_SETTINGS, 'readonly');
+        const store = tx.objectStore(STORE_SETTINGS);
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result?.value);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 設定の値を保存します。
+ * @param {string} key - 設定のキー
+ * @param {*} value - 設定の値
+ * @returns {Promise<void>}
+ */
+export function putSetting(key, value) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_SETTINGS, 'readwrite');
+        const store = tx.objectStore(STORE_SETTINGS);
+        const request = store.put({ key, value });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+
+// --- ★ 新規: 端末間の同期 (Tombstones / Sync Peers) ---
+
+/**
+ * すべての削除の記録を取得します。
+ * @returns {Promise<Array>} { id, store, key, deletedAt } の配列
+ */
+export function getAllTombstones() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_TOMBSTONES, 'readonly');
+        const store = tx.objectStore(STORE_TOMBSTONES);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 同期した相手の端末をすべて取得します。(最後に同期した順)
+ * @returns {Promise<Array>} { deviceId, deviceName, lastSyncedAt, base } の配列
+ */
+export function getAllSyncPeers() {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction(STORE_SYNC_PEERS, 'readonly');
+        const store = tx.objectStore(STORE_SYNC_PEERS);
+        const request = store.getAll();
+        request.onsuccess = () => resolve((request.result || []).sort((a, b) => b.lastSyncedAt - a.lastSyncedAt));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 同期のマージ結果を1つのトランザクションで反映し、相手の端末の記録を更新します。
+ * 途中で失敗した場合はすべて取り消されます。相手から受け取った記録は相手の更新日時のまま保存します。
+ * @param {Array} changes - sync.js の変更 { store, key, action: 'put'|'delete', record, deletedAt }
+ * @param {Object} peer - 相手の端末 { deviceId, deviceName, lastSyncedAt, base }
+ * @returns {Promise<void>}
+ */
+export function applySyncChanges(changes, peer) {
+    return new Promise((resolve, reject) => {
+        if (!db) return reject('DB not open');
+        const tx = db.transaction([STORE_FAMILIES, STORE_CARS, STORE_VENUES, STORE_CONSTRAINTS, STORE_PICKUP_POINTS, STORE_ATTRIBUTES, STORE_TOMBSTONES, STORE_SYNC_PEERS], 'readwrite');
+        const tombstoneStore = tx.objectStore(STORE_TOMBSTONES);
+
+        // 会場は名前で照合する (ID は端末ごとに違う)
+        const venuesRequest = tx.objectStore(STORE_VENUES).getAll();
+        venuesRequest.onsuccess = () => {
+            const venueIdByName = new Map((venuesRequest.result || []).map(venue => [venue.name, venue.id]));
+            changes.forEach(change => {
+                const store = tx.objectStore(change.store);
+                const tombstoneId = `${change.store}:${change.key}`;
+                const venueId = change.store === STORE_VENUES ? venueIdByName.get(change.key) : undefined;
+                if (change.action === 'delete') {
+                    if (change.store !== STORE_VENUES) store.delete(change.key);
+                    else if (venueId !== undefined) store.delete(venueId);
+                    tombstoneStore.put({ id: tombstoneId, store: change.store, key: change.key, deletedAt: change.deletedAt || Date.now() });
+                } else {
+                    const record = { ...change.record };
+                    if (change.store === STORE_VENUES) {
+                        if (venueId !== undefined) record.id = venueId;
+                        else delete record.id; // autoIncrement で採番
+                    }
+                    store.put(record);
+                    tombstoneStore.delete(tombstoneId);
                 }
-            };
-             request.onerror = (e) => {
-                tx.abort();
-                console.error('bulkAddParking error during put:', e.target.error);
-                reject(e.target.error);
-             }
-        });
+            });
+            tx.objectStore(STORE_SYNC_PEERS).put(peer);
+        };
 
         tx.oncomplete = () => resolve();
-        tx.onerror = () => {
-            console.error('bulkAddParking transaction error:', tx.error);
-            reject(tx.error);
-        }
+        tx.onabort = () => reject(tx.error || new Error('同期の反映が中断されました。'));
     });
 }
 
@@ -584,38 +1149,80 @@ export function deleteSavedState(id) {
     });
 }
 
+
 /**
- * IDで指定された保存済み駐車場を削除します。
- * @param {number} id - 削除する駐車場のID
+ * ★ 新規: 家族と車の変更 (CSV 取り込み) を1つのトランザクションでまとめて反映します。
+ * 途中で失敗した場合はすべて取り消されます。
+ * @param {Object} changes
+ * @param {Array} [changes.families] - 追加または更新する家族データ
+ * @param {Array<string>} [changes.deletedFamilyNames] - 削除する家族名
+ * @param {Array} [changes.cars] - 追加または更新する車データ
+ * @param {Array<string>} [changes.deletedCarIds] - 削除する車のID
  * @returns {Promise<void>}
  */
-export function deleteSavedParking(id) {
+export function applyMasterChanges({ families = [], deletedFamilyNames = [], cars = [], deletedCarIds = [] }) {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readwrite');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
-        const request = store.delete(id);
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
+        const tx = db.transaction([STORE_FAMILIES, STORE_CARS, STORE_TOMBSTONES], 'readwrite');
+        const familyStore = tx.objectStore(STORE_FAMILIES);
+        const carStore = tx.objectStore(STORE_CARS);
+
+        deletedFamilyNames.forEach(familyName => putTombstone(tx, STORE_FAMILIES, familyName));
+        deletedCarIds.forEach(carId => putTombstone(tx, STORE_CARS, carId));
+        const requests = [
+            ...deletedFamilyNames.map(familyName => familyStore.delete(familyName)),
+            ...families.map(family => familyStore.put(withUpdatedAt(family))),
+            ...deletedCarIds.map(carId => carStore.delete(carId)),
+            ...cars.map(car => carStore.put(withUpdatedAt(car)))
+        ];
+        requests.forEach(request => {
+            request.onerror = (e) => {
+                console.error('applyMasterChanges error:', e.target.error);
+                tx.abort(); // 1件でも失敗したら中断
+            };
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('マスターデータの更新が中断されました。'));
     });
 }
 
 /**
- * ★ 新規: すべての駐車場データを削除します。(インポート用)
+ * ★ 新規: マスターデータ (家族・車・会場・同乗ルール・乗車場所・参加者の項目) を1つのトランザクションで置き換えます。
+ * 途中で失敗した場合はすべて取り消され、元のデータが残ります。
+ * @param {Object} masterData - { families, cars, venues, constraints, pickupPoints, attributes }
  * @returns {Promise<void>}
  */
-export function clearParking() {
+export function replaceMasterData({ families = [], cars = [], venues = [], constraints = [], pickupPoints = [], attributes = [] }) {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
-        const tx = db.transaction(STORE_SAVED_PARKING, 'readwrite');
-        const store = tx.objectStore(STORE_SAVED_PARKING);
-        const request = store.clear();
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
+        const tx = db.transaction([STORE_FAMILIES, STORE_CARS, STORE_VENUES, STORE_CONSTRAINTS, STORE_PICKUP_POINTS, STORE_ATTRIBUTES, STORE_TOMBSTONES], 'readwrite');
+        const records = [
+            [STORE_FAMILIES, families],
+            [STORE_CARS, cars],
+            [STORE_VENUES, venues.map(({ id, ...record }) => record)], // id は autoIncrement で採番し直す
+            [STORE_CONSTRAINTS, constraints],
+            [STORE_PICKUP_POINTS, pickupPoints], // ★ 新規: 乗車場所
+            [STORE_ATTRIBUTES, attributes] // ★ 新規: 参加者の項目
+        ].map(([storeName, items]) => [storeName, items.map(item => (item.updatedAt ? item : withUpdatedAt(item)))]); // ★ 新規: 更新日時の無い古いファイルは今の日時にする
+
+        records.forEach(([storeName, items]) => {
+            const store = tx.objectStore(storeName);
+            clearStoreWithTombstones(tx, storeName, items); // ★ 新規: 読み込むデータに無い記録は削除の記録を残す
+            items.forEach(item => {
+                const request = store.put(item);
+                request.onerror = (e) => {
+                    console.error(`replaceMasterData error in ${storeName}:`, e.target.error);
+                    tx.abort(); // 1件でも失敗したら中断
+                };
+            });
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('マスターデータの読み込みが中断されました。'));
     });
 }
 
-
 /**
  * データベースのすべてのストアをクリアします（全データ初期化）。
  * @returns {Promise<void>}
@@ -624,7 +1231,7 @@ export function clearAllData() {
     return new Promise((resolve, reject) => {
         if (!db) return reject('DB not open');
         // すべてのストア名を指定
-        const storeNames = [STORE_FAMILIES, STORE_CARS, STORE_SAVED_STATES, STORE_SAVED_PARKING];
+        const storeNames = [STORE_FAMILIES, STORE_CARS, STORE_SAVED_STATES, STORE_VENUES, STORE_CONSTRAINTS, STORE_EVENTS, STORE_SNAPSHOTS, STORE_TEMPLATES, STORE_SETTINGS, STORE_TOMBSTONES, STORE_SYNC_PEERS, STORE_PICKUP_POINTS, STORE_ATTRIBUTES];
         const tx = db.transaction(storeNames, 'readwrite');
         
         let clearCount = 0;
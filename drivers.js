@@ -0,0 +1,79 @@
+// drivers.js: 車を運転できる人 (運転可・いつもの車・車ごとの運転できる人)
+// 参加者 (家族のメンバー) は canDrive (運転できる) と preferredCarId (いつも運転する車) を、車は permittedDrivers (運転できる人の ID) を任意で持つ。
+// 車を運転できるのは canDrive の人のうち、permittedDrivers があればその人だけ、無ければ車の家族の人 (家族の無い車は全員) と、その車を「いつもの車」にしている人。
+// 他の家族の車を借りる場合は、車の permittedDrivers に運転する人を加える。DB や画面には触れない。
+
+// canDrive を登録していない (以前のデータの) 参加者は、タイプで判断する
+const NON_DRIVER_TYPES = ['選手', '兄弟'];
+
+/**
+ * 参加者が運転できるか。canDrive が無ければ選手・兄弟以外を運転できるとみなす。
+ * @param {Object} member - 家族のメンバー
+ * @returns {boolean}
+ */
+export function canDrive(member) {
+  return typeof member.canDrive === 'boolean' ? member.canDrive : !NON_DRIVER_TYPES.includes(member.type);
+}
+
+/**
+ * 参加者がその車を運転できるか。
+ * @param {Object} car - マスターデータの車
+ * @param {Object} member - 家族のメンバー
+ * @param {string|null} familyName - メンバーの家族名
+ * @returns {boolean}
+ */
+export function isPermittedDriver(car, member, familyName) {
+  if (!canDrive(member)) return false;
+  const permitted = car.permittedDrivers || [];
+  if (permitted.length > 0) return permitted.includes(member.id);
+  if (!car.familyName) return true;
+  return familyName === car.familyName || member.preferredCarId === car.id;
+}
+
+/**
+ * 車のドライバー候補を、その車を「いつもの車」にしている人 -> 車の家族 -> ほかの家族 の順に返します。
+ * @param {Object} car - マスターデータの車
+ * @param {Array} families - 家族の一覧
+ * @returns {Array} メンバー (familyName を加えたコピー)
+ */
+export function listDriverCandidates(car, families) {
+  const rank = (member) => (member.preferredCarId === car.id ? 0 : member.familyName === car.familyName ? 1 : 2);
+  return families
+    .flatMap(family => family.members.map(member => ({ ...member, familyName: family.familyName })))
+    .filter(member => isPermittedDriver(car, member, member.familyName))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * 車を選んだときの既定のドライバーを選びます。その車を「いつもの車」にしている人、運転できる人の一覧の先頭、
+ * 車の家族で他の車を「いつもの車」にしていない人の順に探し、ほかの車のドライバーになっている人は選びません。
+ * @param {Object} car - マスターデータの車
+ * @param {Array} candidates - listDriverCandidates の戻り値
+ * @param {Set<string>} [takenIds] - ほかの車のドライバーの ID
+ * @returns {string} ドライバーの ID (見つからなければ空文字)
+ */
+export function pickDefaultDriver(car, candidates, takenIds = new Set()) {
+  const free = candidates.filter(member => !takenIds.has(member.id));
+  const preferred = free.find(member => member.preferredCarId === car.id);
+  if (preferred) return preferred.id;
+  const permitted = (car.permittedDrivers || []).map(id => free.find(member => member.id === id)).find(member => member && !member.preferredCarId);
+  if (permitted) return permitted.id;
+  const family = free.find(member => member.familyName === car.familyName && !member.preferredCarId);
+  return family ? family.id : '';
+}
+
+/**
+ * 選んだドライバーがその車を運転できるかを確かめます。
+ * @param {Object} car - マスターデータの車
+ * @param {Object} member - ドライバー (familyName を持つ)
+ * @returns {string|null} 運転できなければ理由
+ */
+export function validateDriverChoice(car, member) {
+  if (!canDrive(member)) return `${member.name} は運転できる人に登録されていません (${car.name})。`;
+  if (!isPermittedDriver(car, member, member.familyName)) {
+    return (car.permittedDrivers || []).length > 0
+      ? `${member.name} は ${car.name} を運転できる人に含まれていません。`
+      : `${member.name} は ${car.name} の家族ではありません。マスターデータ管理で車の「運転できる人」に加えてください。`;
+  }
+  return null;
+}
@@ -0,0 +1,150 @@
+// fairness.js: 運転の公平性 (ローテーション) の集計モジュール
+// 試合の記録 (events ストア) から、家族ごとの運転回数・提供座席数・距離を集計する。
+// index.html (ステップ2の提案) と fairness.html (シーズンレポート) で共有する。
+
+/**
+ * 日付からシーズン (年度, 4月始まり) を求めます。
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @returns {number|null} シーズンの開始年 (例: 2024-03-10 -> 2023)
+ */
+export function getSeason(dateString) {
+  const [year, month] = (dateString || '').split('-').map(Number);
+  if (!year || !month) return null;
+  return month >= 4 ? year : year - 1;
+}
+
+/**
+ * シーズンの表示名を返します。
+ * @param {number} season - シーズンの開始年
+ * @returns {string} 例: '2024年度'
+ */
+export function formatSeason(season) {
+  return `${season}年度`;
+}
+
+/**
+ * 保存された状態の行程一覧を返します。(legs の無い古い形式は1行程として扱う)
+ * @param {Object} state - 保存された状態
+ * @returns {Array} 行程の配列
+ */
+function getLegs(state = {}) {
+  if (Array.isArray(state.legs) && state.legs.length > 0) return state.legs;
+  return [{
+    name: '行き',
+    selectedCarIds: state.selectedCarIds || [],
+    selectedDrivers: state.selectedDrivers || [],
+    parkingInfo: state.parkingInfo || {},
+    currentAssignments: state.currentAssignments || []
+  }];
+}
+
+/**
+ * 1行程分の運転を列挙します。割り当て結果があればそれを、無ければステップ2の選択 (selectedDrivers) を使います。
+ * @param {Object} leg - 行程
+ * @param {Map} familyOfMember - 参加者ID -> 家族名
+ * @param {Map} carsById - 車ID -> 車データ
+ * @returns {Array} { driverId, driverName, familyName, carName, seats }
+ */
+function getLegDrives(leg, familyOfMember, carsById) {
+  const assignments = (leg.currentAssignments || []).filter(car => car.id !== 'excluded-car' && car.driver);
+  if (assignments.length > 0) {
+    return assignments.map(car => ({
+      driverId: car.driver.id,
+      driverName: car.driver.name,
+      familyName: car.driver.familyName || familyOfMember.get(car.driver.id) || null,
+      carName: car.name,
+      seats: car.capacity ?? car.members.length
+    }));
+  }
+  const selectedCarIds = new Set(leg.selectedCarIds || []);
+  return (leg.selectedDrivers || [])
+    .filter(([carId]) => selectedCarIds.has(carId))
+    .map(([carId, driverId]) => {
+      const car = carsById.get(carId);
+      return {
+        driverId,
+        driverName: null,
+        familyName: familyOfMember.get(driverId) || null,
+        carName: car ? car.name : carId,
+        seats: car ? car.baseCapacity - 1 : 0
+      };
+    });
+}
+
+/**
+ * 試合の記録から、家族ごと・ドライバーごとの運転実績を集計します。
+ * @param {Array} events - 試合の記録 (db.getAllEvents の結果)
+ * @param {Array} families - 家族データ (メンバーの所属を引くため)
+ * @param {Array} cars - 車データ (割り当て結果が無い記録の座席数を引くため)
+ * @param {number|null} season - 対象シーズン (null なら全期間)
+ * @returns {{ eventCount: number, families: Map, drivers: Map }}
+ *   families: 家族名 -> { familyName, attended, driveCount, seatsProvided, distanceKm, lastDate, drives: [] }
+ *   drivers: 参加者ID -> 運転回数
+ */
+export function computeDrivingStats(events, families, cars = [], season = null) {
+  const familyOfMember = new Map();
+  // 卒業して名簿から外れた参加者 (archivedMembers) も過去の記録では家族の一員として数える
+  families.forEach(family => [...family.members, ...(family.archivedMembers || [])].forEach(member => familyOfMember.set(member.id, family.familyName)));
+  const carsById = new Map(cars.map(car => [car.id, car]));
+
+  const familyStats = new Map();
+  const statOf = (familyName) => {
+    if (!familyStats.has(familyName)) {
+      familyStats.set(familyName, { familyName, attended: 0, driveCount: 0, seatsProvided: 0, distanceKm: 0, lastDate: null, drives: [] });
+    }
+    return familyStats.get(familyName);
+  };
+  families.forEach(family => statOf(family.familyName));
+  const driverCounts = new Map();
+
+  const targetEvents = events.filter(ev => season === null || getSeason(ev.date) === season);
+  targetEvents.forEach(ev => {
+    const state = ev.state || {};
+
+    // 参加した家族 (1人でも参加していれば1試合)
+    const attendedFamilies = new Set((state.selectedParticipantIds || []).map(id => familyOfMember.get(id)).filter(Boolean));
+    attendedFamilies.forEach(familyName => { statOf(familyName).attended++; });
+
+    getLegs(state).forEach(leg => {
+      const distanceKm = Number(leg.parkingInfo?.distanceKm) || 0;
+      getLegDrives(leg, familyOfMember, carsById).forEach(drive => {
+        driverCounts.set(drive.driverId, (driverCounts.get(drive.driverId) || 0) + 1);
+        if (!drive.familyName) return;
+        const stat = statOf(drive.familyName);
+        stat.driveCount++;
+        stat.seatsProvided += drive.seats;
+        stat.distanceKm += distanceKm;
+        if (!stat.lastDate || ev.date > stat.lastDate) stat.lastDate = ev.date;
+        stat.drives.push({ date: ev.date, groundName: ev.groundName || '', legName: leg.name, carName: drive.carName, driverName: drive.driverName, seats: drive.seats, distanceKm });
+      });
+    });
+  });
+
+  return { eventCount: targetEvents.length, families: familyStats, drivers: driverCounts };
+}
+
+/**
+ * 運転の割合 (運転回数 / 参加試合数)。参加が無ければ 0。
+ * @param {Object} stat - computeDrivingStats の家族ごとの集計
+ * @returns {number}
+ */
+export function getDriveRate(stat) {
+  return stat.attended > 0 ? stat.driveCount / stat.attended : 0;
+}
+
+/**
+ * 運転をお願いする順 (公平性の高い順) に家族を並べます。
+ * 運転の割合が低い -> 運転回数が少ない -> 最後に運転した日が古い (未運転が先) の順。
+ * @param {Map} familyStats - computeDrivingStats(...).families
+ * @param {Array<string>} familyNames - 候補の家族名
+ * @returns {Array} 集計データの配列 (並べ替え済み)
+ */
+export function rankFamiliesForDriving(familyStats, familyNames) {
+  return familyNames
+    .map(name => familyStats.get(name) || { familyName: name, attended: 0, driveCount: 0, seatsProvided: 0, distanceKm: 0, lastDate: null, drives: [] })
+    .sort((a, b) =>
+      (getDriveRate(a) - getDriveRate(b)) ||
+      (a.driveCount - b.driveCount) ||
+      (a.lastDate || '').localeCompare(b.lastDate || '') ||
+      a.familyName.localeCompare(b.familyName, 'ja'));
+}
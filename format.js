@@ -0,0 +1,551 @@
+// format.js: 保存ファイル (状態・マスターデータ) の形式バージョン・検証・移行
+// 読み込んだ JSON を検証し、古い形式からの移行と、削除済みの参加者・車への参照の修復を行う。
+// DB や画面の状態には触れず、結果 (errors が空なら反映してよいデータ) を返すだけにする。
+
+import { lotsFromLegacy, normalizeParkingLots } from './parking.js';
+import { normalizeVenue, venuesFromSavedParking } from './venues.js';
+import { DEFAULT_LUGGAGE_CONFIG, SEAT_NEEDS, normalizeSeatLayout } from './seats.js';
+import { normalizePickupPoint } from './pickups.js';
+import { attributesFromMemberData, isAttributeKey, normalizeAttribute } from './attributes.js';
+import { isEncryptedBackup } from './backup.js';
+
+/**
+ * 状態ファイルの形式バージョン
+ * 1: 1行程のみ (parkingInfo に groundName が無い)
+ * 2: 1行程のみ (parkingInfo.groundName あり)
+ * 3: 行程 (legs) ごとに車・駐車場・割り当て結果を持つ
+ * 4: 行程ごとに割り当て結果の編集履歴 (history: { undo, redo }) を持つ
+ * 5: 駐車場を指定/それ以外の2つから、複数の駐車場 (parkingInfo.lots) に変更
+ * 6: 荷物 (selectedLuggage) を車IDの配列から [車ID, 荷物を積むときの設定名] の配列に変更
+ */
+export const STATE_FORMAT_VERSION = 6;
+
+/**
+ * マスターデータファイルの形式バージョン
+ * 1: families / cars / parking (家族の order・同乗ルールなし、駐車場は name で保存)
+ * 2: 家族の order・同乗ルール (constraints)・駐車場の groundName
+ * 3: 保存した駐車場を複数の駐車場 (lots) で持つ
+ * 4: 保存した駐車場 (parking) を会場の一覧 (venues) に変更
+ * 5: 乗車場所の一覧 (pickupPoints)
+ * 6: 参加者の項目と重み (attributes)。以前は学年・学校・その他の固定の3項目
+ */
+export const MASTER_FORMAT_VERSION = 6;
+
+const MEMBER_TYPES = ['選手', '保護者', '兄弟', 'その他'];
+const SEAT_LAYOUT_KEYS = ['seatRows', 'childSeats', 'boosterSeats', 'luggageConfigs'];
+
+// 暗号化ファイル (backup.js) は画面でパスフレーズを入れて復号してから渡す
+const ENCRYPTED_FILE_ERROR = 'パスフレーズで暗号化されたファイルです。アプリの画面でパスフレーズを入力して読み込んでください。';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+function readVersion(data, current, detect, errors) {
+  if (data.formatVersion === undefined) return detect(data);
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion < 1) {
+    errors.push(`formatVersion (${JSON.stringify(data.formatVersion)}) が正しくありません。`);
+    return null;
+  }
+  if (data.formatVersion > current) {
+    errors.push(`このファイルは新しいバージョンのアプリで作られています (形式 v${data.formatVersion})。アプリを更新してから読み込んでください。`);
+    return null;
+  }
+  return data.formatVersion;
+}
+
+// --- 状態 ---
+
+// formatVersion の無い古いファイルは中身から形式を判定する
+function detectStateVersion(data) {
+  if (Array.isArray(data.legs)) {
+    if (data.legs.some(leg => isObject(leg) && Array.isArray(leg.selectedLuggage) && leg.selectedLuggage.some(Array.isArray))) return 6;
+    if (data.legs.some(leg => isObject(leg) && isObject(leg.parkingInfo) && leg.parkingInfo.lots !== undefined)) return 5;
+    return data.legs.some(leg => isObject(leg) && leg.history !== undefined) ? 4 : 3;
+  }
+  return isObject(data.parkingInfo) && data.parkingInfo.groundName !== undefined ? 2 : 1;
+}
+
+const STATE_MIGRATIONS = {
+  // v1 -> v2: グラウンド名を追加
+  1: (data) => ({ ...data, parkingInfo: { groundName: '', ...(isObject(data.parkingInfo) ? data.parkingInfo : {}) } }),
+  // v2 -> v3: 1行程の状態を行程「行き」にまとめる
+  2: (data) => {
+    const { selectedCarIds, selectedDrivers, selectedLuggage, excludedParticipantIds, parkingInfo, currentAssignments, allocationSeed, ...rest } = data;
+    return {
+      ...rest,
+      legs: [{
+        id: 'leg-1',
+        name: '行き',
+        selectedCarIds: selectedCarIds ?? [],
+        selectedDrivers: selectedDrivers ?? [],
+        selectedLuggage: selectedLuggage ?? [],
+        excludedParticipantIds: excludedParticipantIds ?? [],
+        parkingInfo: parkingInfo ?? {},
+        currentAssignments: currentAssignments ?? [],
+        allocationSeed: Number.isInteger(allocationSeed) ? allocationSeed : null
+      }],
+      activeLegId: 'leg-1'
+    };
+  },
+  // v3 -> v4: 編集履歴 (空) を追加
+  3: (data) => ({
+    ...data,
+    legs: Array.isArray(data.legs) ? data.legs.map(leg => (isObject(leg) ? { history: { undo: [], redo: [] }, ...leg } : leg)) : data.legs
+  }),
+  // v4 -> v5: 指定駐車場・それ以外を駐車場の配列に (ID は 'designated' / 'other' のままなので割り当て結果はそのまま使える)
+  4: (data) => ({
+    ...data,
+    legs: Array.isArray(data.legs) ? data.legs.map(leg => {
+      if (!isObject(leg) || !isObject(leg.parkingInfo)) return leg;
+      const { designated, other, ...rest } = leg.parkingInfo;
+      return {
+        ...leg,
+        parkingInfo: { ...rest, lots: lotsFromLegacy({ designated: isObject(designated) ? designated : {}, other: isObject(other) ? other : {} }) }
+      };
+    }) : data.legs
+  }),
+  // v5 -> v6: 荷物ありの車は、以前と同じ既定の設定 (2名) にする
+  5: (data) => ({
+    ...data,
+    legs: Array.isArray(data.legs) ? data.legs.map(leg => {
+      if (!isObject(leg) || !isStringArray(leg.selectedLuggage)) return leg;
+      return { ...leg, selectedLuggage: leg.selectedLuggage.map(carId => [carId, DEFAULT_LUGGAGE_CONFIG.name]) };
+    }) : data.legs
+  })
+};
+
+function normalizeParkingInfo(info) {
+  const source = isObject(info) ? info : {};
+  return {
+    ...source,
+    groundName: typeof source.groundName === 'string' ? source.groundName : '',
+    distanceKm: Number(source.distanceKm) || 0,
+    lots: normalizeParkingLots(source.lots)
+  };
+}
+
+const isAssignmentList = (value) => Array.isArray(value) && value.every(car => isObject(car) && typeof car.id === 'string' && Array.isArray(car.members));
+
+// 編集履歴は無くても困らないため、壊れていればエラーにせず空にする
+function normalizeHistory(history, where, repairs) {
+  const isEntry = (entry) => isObject(entry) && isAssignmentList(entry.assignments);
+  if (history === undefined) return { undo: [], redo: [] };
+  if (isObject(history) && Array.isArray(history.undo) && Array.isArray(history.redo) && [...history.undo, ...history.redo].every(isEntry)) {
+    return {
+      undo: history.undo.map(entry => ({ ...entry, label: typeof entry.label === 'string' ? entry.label : '' })),
+      redo: history.redo.map(entry => ({ ...entry, label: typeof entry.label === 'string' ? entry.label : '' }))
+    };
+  }
+  repairs.push(`${where}: 編集履歴 (元に戻す/やり直し) の形式が正しくないため、履歴を消しました。`);
+  return { undo: [], redo: [] };
+}
+
+function validateState(data, errors) {
+  if (data.selectedParticipantIds !== undefined && !isStringArray(data.selectedParticipantIds)) {
+    errors.push('selectedParticipantIds (参加者) が文字列の配列ではありません。');
+  }
+  if (data.participantData !== undefined && !(Array.isArray(data.participantData) && data.participantData.every(entry => Array.isArray(entry) && typeof entry[0] === 'string' && isObject(entry[1])))) {
+    errors.push('participantData (学年・備考など) が [ID, データ] の配列ではありません。');
+  }
+  if (!Array.isArray(data.legs) || data.legs.length === 0) {
+    errors.push('legs (行程) が1つもありません。');
+    return;
+  }
+  data.legs.forEach((leg, i) => {
+    const where = `行程${i + 1}${isObject(leg) && leg.name ? `「${leg.name}」` : ''}`;
+    if (!isObject(leg)) {
+      errors.push(`${where}: オブジェクトではありません。`);
+      return;
+    }
+    ['selectedCarIds', 'excludedParticipantIds'].forEach(key => {
+      if (leg[key] !== undefined && !isStringArray(leg[key])) errors.push(`${where}: ${key} が文字列の配列ではありません。`);
+    });
+    if (leg.selectedDrivers !== undefined && !(Array.isArray(leg.selectedDrivers) && leg.selectedDrivers.every(pair => Array.isArray(pair) && pair.length === 2))) {
+      errors.push(`${where}: selectedDrivers (ドライバー) が [車ID, 参加者ID] の配列ではありません。`);
+    }
+    if (leg.selectedLuggage !== undefined && !(Array.isArray(leg.selectedLuggage) && leg.selectedLuggage.every(pair => Array.isArray(pair) && pair.length === 2 && isStringArray(pair)))) {
+      errors.push(`${where}: selectedLuggage (荷物) が [車ID, 設定名] の配列ではありません。`);
+    }
+    if (leg.parkingInfo !== undefined && !isObject(leg.parkingInfo)) errors.push(`${where}: parkingInfo (駐車場) がオブジェクトではありません。`);
+    if (isObject(leg.parkingInfo) && leg.parkingInfo.lots !== undefined && !Array.isArray(leg.parkingInfo.lots)) {
+      errors.push(`${where}: parkingInfo.lots (駐車場) が配列ではありません。`);
+    }
+    if (leg.currentAssignments !== undefined) {
+      if (!Array.isArray(leg.currentAssignments)) {
+        errors.push(`${where}: currentAssignments (割り当て結果) が配列ではありません。`);
+      } else if (!isAssignmentList(leg.currentAssignments)) {
+        errors.push(`${where}: currentAssignments (割り当て結果) の車に id または members がありません。`);
+      }
+    }
+  });
+}
+
+function removeMissingMembers(assignments, keepMember) {
+  assignments.forEach(car => {
+    if (car.driver && !keepMember(car.driver.id)) car.driver = null;
+    car.members = car.members.filter(member => !member || keepMember(member.id));
+  });
+}
+
+// マスターデータに無い参加者・車への参照を取り除く
+function repairStateReferences(state, families, cars, repairs) {
+  const memberIds = new Set(families.flatMap(family => family.members.map(member => member.id)));
+  const carIds = new Set(cars.map(car => car.id));
+  const missingMembers = new Set();
+  const missingCars = new Set();
+  const keepMember = (id) => memberIds.has(id) || (missingMembers.add(id), false);
+  const keepCar = (id) => carIds.has(id) || (missingCars.add(id), false);
+
+  state.selectedParticipantIds = state.selectedParticipantIds.filter(keepMember);
+  state.participantData = state.participantData.filter(([id]) => memberIds.has(id));
+
+  state.legs.forEach(leg => {
+    leg.selectedCarIds = leg.selectedCarIds.filter(keepCar);
+    leg.selectedLuggage = leg.selectedLuggage.filter(([carId]) => carIds.has(carId));
+    leg.selectedDrivers = leg.selectedDrivers.filter(([carId, driverId]) => carIds.has(carId) && keepMember(driverId));
+    leg.excludedParticipantIds = leg.excludedParticipantIds.filter(keepMember);
+
+    // 編集履歴も同じように直す。消えた車を含む履歴は戻しようがないため、履歴ごと消す
+    const history = [...leg.history.undo, ...leg.history.redo];
+    if (history.some(entry => entry.assignments.some(car => car.id !== 'excluded-car' && !carIds.has(car.id)))) {
+      leg.history = { undo: [], redo: [] };
+      repairs.push(`行程「${leg.name}」: マスターデータに無い車が含まれていたため、編集履歴を消しました。`);
+    } else {
+      history.forEach(entry => removeMissingMembers(entry.assignments, keepMember));
+    }
+
+    if (leg.currentAssignments.some(car => car.id !== 'excluded-car' && !keepCar(car.id))) {
+      // 車が消えていると乗っていた人の行き先が決められないため、結果ごと破棄する
+      leg.currentAssignments = [];
+      leg.allocationSeed = null;
+      repairs.push(`行程「${leg.name}」: マスターデータに無い車が含まれていたため、割り当て結果をクリアしました。割り当て直してください。`);
+      return;
+    }
+    removeMissingMembers(leg.currentAssignments, keepMember);
+  });
+
+  if (missingMembers.size > 0) repairs.push(`マスターデータに無い参加者 (ID: ${[...missingMembers].join(', ')}) を選択・割り当て結果から外しました。`);
+  if (missingCars.size > 0) repairs.push(`マスターデータに無い車 (ID: ${[...missingCars].join(', ')}) を選択・割り当て結果から外しました。`);
+}
+
+/**
+ * 行程を保存する形 (保存した状態・試合の記録・ファイル) にコピーします。
+ * 画面は割り当て結果の車に表示中の要素 (element) を付けるため、そのままでは IndexedDB に保存できない。
+ * @param {Array} legs - 行程
+ * @returns {Array} 行程 (element を除いたコピー)
+ */
+export function cloneLegsForSave(legs) {
+  return JSON.parse(JSON.stringify(legs.map(leg => ({
+    ...leg,
+    currentAssignments: (leg.currentAssignments || []).map(({ element, ...car }) => car)
+  }))));
+}
+
+/**
+ * 状態ファイル (エクスポートした JSON・保存した状態・試合の記録) を検証し、現在の形式に移行します。
+ * @param {*} data - JSON.parse した内容
+ * @param {Array} families - 現在の家族データ (参照の修復用)
+ * @param {Array} cars - 現在の車データ (参照の修復用)
+ * @returns {{ state: Object|null, fromVersion: number|null, errors: Array<string>, repairs: Array<string> }}
+ *   errors が空でなければ state は null (読み込まない)。repairs は自動で直した内容。
+ */
+export function prepareStateImport(data, families, cars) {
+  const errors = [];
+  const repairs = [];
+  const fail = () => ({ state: null, fromVersion: null, errors, repairs });
+
+  if (!isObject(data)) {
+    errors.push('ファイルの中身が状態データ (オブジェクト) ではありません。');
+    return fail();
+  }
+  if (isEncryptedBackup(data)) {
+    errors.push(ENCRYPTED_FILE_ERROR);
+    return fail();
+  }
+  if (Array.isArray(data.families)) {
+    errors.push('マスターデータのファイルです。マスターデータ管理ページで読み込んでください。');
+    return fail();
+  }
+  const fromVersion = readVersion(data, STATE_FORMAT_VERSION, detectStateVersion, errors);
+  if (fromVersion === null) return fail();
+
+  let migrated = JSON.parse(JSON.stringify(data)); // 元のデータは変更しない
+  for (let version = fromVersion; version < STATE_FORMAT_VERSION; version++) {
+    migrated = STATE_MIGRATIONS[version](migrated);
+  }
+  validateState(migrated, errors);
+  if (errors.length > 0) return fail();
+
+  const usedLegIds = new Set();
+  const state = {
+    ...migrated,
+    formatVersion: STATE_FORMAT_VERSION,
+    selectedParticipantIds: migrated.selectedParticipantIds ?? [],
+    participantData: migrated.participantData ?? [],
+    keepSeatingAcrossLegs: !!migrated.keepSeatingAcrossLegs,
+    legs: migrated.legs.map((leg, i) => {
+      let id = typeof leg.id === 'string' && leg.id ? leg.id : `leg-${i + 1}`;
+      if (usedLegIds.has(id)) id = `${id}-${i + 1}`;
+      usedLegIds.add(id);
+      const name = typeof leg.name === 'string' && leg.name ? leg.name : `行程${i + 1}`;
+      return {
+        ...leg,
+        id,
+        name,
+        selectedCarIds: leg.selectedCarIds ?? [],
+        selectedDrivers: leg.selectedDrivers ?? [],
+        selectedLuggage: leg.selectedLuggage ?? [],
+        excludedParticipantIds: leg.excludedParticipantIds ?? [],
+        parkingInfo: normalizeParkingInfo(leg.parkingInfo),
+        currentAssignments: leg.currentAssignments ?? [],
+        allocationSeed: Number.isInteger(leg.allocationSeed) ? leg.allocationSeed : null,
+        history: normalizeHistory(leg.history, `行程「${name}」`, repairs)
+      };
+    })
+  };
+  if (!state.legs.some(leg => leg.id === state.activeLegId)) state.activeLegId = state.legs[0].id;
+
+  repairStateReferences(state, families, cars, repairs);
+  return { state, fromVersion, errors, repairs };
+}
+
+// --- マスターデータ ---
+
+function detectMasterVersion(data) {
+  if (Array.isArray(data.attributes)) return 6;
+  if (Array.isArray(data.pickupPoints)) return 5;
+  if (Array.isArray(data.venues)) return 4;
+  if (Array.isArray(data.parking) && data.parking.some(record => isObject(record) && record.lots !== undefined)) return 3;
+  return Array.isArray(data.constraints) ? 2 : 1;
+}
+
+const MASTER_MIGRATIONS = {
+  // v1 -> v2: 家族の並び順・同乗ルール・駐車場のグラウンド名
+  1: (data) => ({
+    ...data,
+    families: Array.isArray(data.families) ? data.families.map((family, index) => (isObject(family) ? { order: index, ...family } : family)) : data.families,
+    parking: Array.isArray(data.parking)
+      ? data.parking.map(record => (isObject(record) && record.groundName === undefined ? { ...record, groundName: record.name } : record))
+      : [],
+    constraints: []
+  }),
+  // v2 -> v3: 保存した指定駐車場 (parkingInfo) を駐車場の配列に。旧形式には「それ以外」が無いため名前だけの駐車場を補う
+  2: (data) => ({
+    ...data,
+    parking: Array.isArray(data.parking)
+      ? data.parking.map(record => {
+        if (!isObject(record) || record.lots !== undefined) return record;
+        const { parkingInfo, ...rest } = record;
+        return { ...rest, lots: lotsFromLegacy({ designated: isObject(parkingInfo) ? parkingInfo : {} }) };
+      })
+      : data.parking
+  }),
+  // v3 -> v4: 保存した駐車場をグラウンド名ごとの会場に (同じグラウンド名は最新のものを残す)
+  3: (data) => {
+    const { parking, ...rest } = data;
+    if (!Array.isArray(parking)) return { ...rest, venues: parking };
+    return { ...rest, venues: venuesFromSavedParking(parking.filter(isObject)) };
+  },
+  // v4 -> v5: 乗車場所の一覧
+  4: (data) => ({ ...data, pickupPoints: [] }),
+  // v5 -> v6: 以前の3項目と、参加者の data にあったほかのキー (割り当てには使わない) を項目にする
+  5: (data) => ({ ...data, attributes: attributesFromMemberData(Array.isArray(data.families) ? data.families : []) })
+};
+
+function validateMaster(data, errors, repairs) {
+  if (!Array.isArray(data.families)) errors.push('"families" (家族) の配列がありません。');
+  if (!Array.isArray(data.cars)) errors.push('"cars" (車) の配列がありません。');
+  if (errors.length > 0) return;
+
+  const familyNames = new Set();
+  const memberIds = new Set();
+  data.families.forEach((family, i) => {
+    const where = `家族${i + 1}${isObject(family) && family.familyName ? `「${family.familyName}」` : ''}`;
+    if (!isObject(family) || typeof family.familyName !== 'string' || !family.familyName.trim()) {
+      errors.push(`${where}: familyName (家族名) がありません。`);
+      return;
+    }
+    if (familyNames.has(family.familyName)) errors.push(`${where}: 家族名が重複しています。`);
+    familyNames.add(family.familyName);
+    if (!Array.isArray(family.members)) {
+      errors.push(`${where}: members (メンバー) の配列がありません。`);
+      return;
+    }
+    family.members.forEach((member, j) => {
+      const memberWhere = `${where}のメンバー${j + 1}`;
+      if (!isObject(member) || typeof member.id !== 'string' || !member.id) {
+        errors.push(`${memberWhere}: id がありません。`);
+        return;
+      }
+      if (memberIds.has(member.id)) errors.push(`${memberWhere}: ID「${member.id}」が重複しています。`);
+      memberIds.add(member.id);
+      if (typeof member.name !== 'string' || !member.name) errors.push(`${memberWhere} (ID: ${member.id}): name (名前) がありません。`);
+      if (!MEMBER_TYPES.includes(member.type)) {
+        repairs.push(`${memberWhere}「${member.name}」: タイプ「${member.type ?? ''}」は使えないため「その他」にしました。`);
+        member.type = 'その他';
+      }
+      if (member.seatNeed !== undefined && member.seatNeed !== '' && !SEAT_NEEDS.some(need => need.value === member.seatNeed)) {
+        repairs.push(`${memberWhere}「${member.name}」: 必要な座席「${member.seatNeed}」は使えないため外しました。`);
+        delete member.seatNeed;
+      }
+      if (member.canDrive !== undefined && typeof member.canDrive !== 'boolean') {
+        repairs.push(`${memberWhere}「${member.name}」: 運転できるか (canDrive) が true / false ではないため、タイプから判断するようにしました。`);
+        delete member.canDrive;
+      }
+    });
+    // 卒業して名簿から外れた参加者も、同乗ルールの参照先としては有効
+    (Array.isArray(family.archivedMembers) ? family.archivedMembers : []).forEach(member => {
+      if (isObject(member) && typeof member.id === 'string') memberIds.add(member.id);
+    });
+  });
+
+  const carIds = new Set();
+  data.cars.forEach((car, i) => {
+    const where = `車${i + 1}${isObject(car) && car.name ? `「${car.name}」` : ''}`;
+    if (!isObject(car) || typeof car.id !== 'string' || !car.id) {
+      errors.push(`${where}: id がありません。`);
+      return;
+    }
+    if (carIds.has(car.id)) errors.push(`${where}: ID「${car.id}」が重複しています。`);
+    carIds.add(car.id);
+    if (typeof car.name !== 'string' || !car.name) errors.push(`${where}: name (車名) がありません。`);
+    if (SEAT_LAYOUT_KEYS.some(key => car[key] !== undefined)) {
+      const layout = normalizeSeatLayout(car);
+      if (layout.baseCapacity !== car.baseCapacity) repairs.push(`${where}: 定員を列ごとの席数の合計 (${layout.baseCapacity}名) にしました。`);
+      Object.assign(car, layout);
+    }
+    if (!(Number.isInteger(car.baseCapacity) && car.baseCapacity > 0)) errors.push(`${where}: baseCapacity (定員) が1以上の整数ではありません。`);
+    if (car.permittedDrivers !== undefined) {
+      const permitted = isStringArray(car.permittedDrivers) ? car.permittedDrivers.filter(id => memberIds.has(id)) : [];
+      if (!isStringArray(car.permittedDrivers) || permitted.length < car.permittedDrivers.length) {
+        repairs.push(`${where}: 運転できる人のうち、存在しない参加者を外しました。`);
+      }
+      car.permittedDrivers = permitted;
+    }
+  });
+
+  // いつもの車 (preferredCarId) が削除済みの車を指していれば外す
+  data.families.forEach(family => {
+    if (!isObject(family) || !Array.isArray(family.members)) return;
+    family.members.forEach(member => {
+      if (!isObject(member) || member.preferredCarId === undefined || carIds.has(member.preferredCarId)) return;
+      repairs.push(`家族「${family.familyName}」の「${member.name}」: いつもの車 (ID: ${member.preferredCarId}) が無いため外しました。`);
+      delete member.preferredCarId;
+    });
+  });
+
+  if (!Array.isArray(data.venues)) errors.push('"venues" (会場) が配列ではありません。');
+  if (!Array.isArray(data.constraints)) errors.push('"constraints" (同乗ルール) が配列ではありません。');
+  if (!Array.isArray(data.pickupPoints)) errors.push('"pickupPoints" (乗車場所) が配列ではありません。');
+  if (!Array.isArray(data.attributes)) errors.push('"attributes" (参加者の項目) が配列ではありません。');
+  if (errors.length > 0) return;
+
+  // 参加者の項目: キーの無い・重複したものは読み込まない (参加者の値はそのまま残す)
+  const attributeKeys = new Set();
+  data.attributes = data.attributes.filter((record, i) => {
+    const key = isObject(record) ? record.key : undefined;
+    if (!isAttributeKey(key) || attributeKeys.has(key)) {
+      repairs.push(`参加者の項目${i + 1}: ${isAttributeKey(key) ? `キー「${key}」が重複している` : 'キーが無い'}ため読み込みませんでした。`);
+      return false;
+    }
+    attributeKeys.add(key);
+    return true;
+  }).map(normalizeAttribute);
+
+  // 乗車場所: 名前・ID の無いものは読み込まず、参加者の乗車場所が無くなっていれば外す
+  const pickupPointIds = new Set();
+  data.pickupPoints = data.pickupPoints.filter((record, i) => {
+    const point = isObject(record) && typeof record.id === 'string' && record.id ? normalizePickupPoint(record) : null;
+    if (!point || !point.name || pickupPointIds.has(point.id)) {
+      repairs.push(`乗車場所${i + 1}: ${point && point.name ? `ID「${point.id}」が重複している` : 'ID・名前が無い'}ため読み込みませんでした。`);
+      return false;
+    }
+    pickupPointIds.add(point.id);
+    return true;
+  }).map(normalizePickupPoint);
+  data.families.forEach(family => {
+    family.members.forEach(member => {
+      if (!isObject(member) || member.pickupPointId === undefined || pickupPointIds.has(member.pickupPointId)) return;
+      repairs.push(`家族「${family.familyName}」の「${member.name}」: 乗車場所 (ID: ${member.pickupPointId}) が無いため外しました。`);
+      delete member.pickupPointId;
+    });
+  });
+
+  // 参照切れの修復 (名前の無い・重複した会場、削除済みの参加者/車を指すルール)
+  const venuesByName = new Map(); // 会場名 -> 会場 (重複は更新日時の新しいものを残す)
+  data.venues.forEach((record, i) => {
+    const venue = isObject(record) ? normalizeVenue(record) : null;
+    if (!venue || !venue.name) {
+      repairs.push(`会場${i + 1}: 名前が無いため読み込みませんでした。`);
+      return;
+    }
+    const current = venuesByName.get(venue.name);
+    if (current) {
+      repairs.push(`会場「${venue.name}」が重複しているため、更新日時の新しいものを読み込みました。`);
+      if (current.updatedAt >= venue.updatedAt) return;
+    }
+    venuesByName.set(venue.name, venue);
+  });
+  data.venues = [...venuesByName.values()];
+
+  data.constraints = data.constraints.filter((constraint, i) => {
+    const ok = isObject(constraint) && typeof constraint.id === 'string' && memberIds.has(constraint.subjectId) &&
+      (constraint.targetType === 'car' ? carIds.has(constraint.targetId) : memberIds.has(constraint.targetId));
+    if (!ok) repairs.push(`同乗ルール${i + 1}: 存在しない参加者・車を指しているため読み込みませんでした。`);
+    return ok;
+  });
+}
+
+/**
+ * マスターデータファイルを検証し、現在の形式に移行します。
+ * @param {*} data - JSON.parse した内容
+ * @returns {{ masterData: Object|null, fromVersion: number|null, errors: Array<string>, repairs: Array<string> }}
+ *   errors が空でなければ masterData は null (読み込まない)。
+ */
+export function prepareMasterImport(data) {
+  const errors = [];
+  const repairs = [];
+  const fail = () => ({ masterData: null, fromVersion: null, errors, repairs });
+
+  if (!isObject(data)) {
+    errors.push('ファイルの中身がマスターデータ (オブジェクト) ではありません。');
+    return fail();
+  }
+  if (isEncryptedBackup(data)) {
+    errors.push(ENCRYPTED_FILE_ERROR);
+    return fail();
+  }
+  if (data.selectedParticipantIds !== undefined || data.legs !== undefined) {
+    errors.push('配車の状態ファイルです。配車調整アプリの「ファイル読込み」で読み込んでください。');
+    return fail();
+  }
+  const fromVersion = readVersion(data, MASTER_FORMAT_VERSION, detectMasterVersion, errors);
+  if (fromVersion === null) return fail();
+
+  let migrated = JSON.parse(JSON.stringify(data));
+  for (let version = fromVersion; version < MASTER_FORMAT_VERSION; version++) {
+    migrated = MASTER_MIGRATIONS[version](migrated);
+  }
+  migrated.venues = migrated.venues ?? [];
+  migrated.pickupPoints = migrated.pickupPoints ?? [];
+  migrated.attributes = migrated.attributes ?? attributesFromMemberData(Array.isArray(migrated.families) ? migrated.families : []);
+  validateMaster(migrated, errors, repairs);
+  if (errors.length > 0) return fail();
+
+  migrated.families.forEach((family, index) => {
+    if (family.order === undefined || family.order === null) family.order = index;
+  });
+  migrated.families.sort((a, b) => a.order - b.order);
+  return { masterData: { ...migrated, formatVersion: MASTER_FORMAT_VERSION }, fromVersion, errors, repairs };
+}
+
+/**
+ * エラー・修復の一覧をメッセージ用の HTML にします。
+ * @param {string} title - 見出し
+ * @param {Array<string>} items - 項目
+ * @returns {string}
+ */
+export function formatIssueList(title, items) {
+  const escape = (text) => String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  return `${escape(title)}<ul class="list-disc list-inside text-sm mt-1">${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+}
@@ -0,0 +1,229 @@
+// parking.js: グラウンドごとの駐車場 (複数) のモデルと、車の駐車場への振り分け
+// 駐車場ごとに台数制限・優先順位・停められる車の条件 (荷物車専用・特定の家族のみ) を持つ。
+// 状態の parkingInfo.lots・会場 (venues.js) の lots で使う。DB には触れない。
+// 駐車場の入力欄 (HTML の生成と読み取り) は index.html のステップ4 と venues.html で共通。
+
+export const UNASSIGNED_PARKING = 'unassigned'; // どの駐車場にも入らなかった車の assignedParking
+
+/**
+ * 駐車場を1つ作ります。
+ * @param {number} index - 何番目の駐車場か (0始まり。ID と優先順位の初期値に使う)
+ * @param {Object} [values] - 上書きする値
+ * @returns {{ id: string, name: string, limit: number, priority: number, memo: string, luggageOnly: boolean, familyNames: Array<string> }}
+ *   limit: 台数制限 (0 = 制限なし) / priority: 小さいほど先に埋める / luggageOnly: 荷物車専用 / familyNames: 空でなければその家族の車のみ
+ */
+export function createParkingLot(index, values = {}) {
+  return {
+    id: `lot${Date.now()}-${index}`,
+    name: '',
+    limit: 0,
+    priority: index + 1,
+    memo: '',
+    luggageOnly: false,
+    familyNames: [],
+    ...values
+  };
+}
+
+/**
+ * 空の駐車場情報 (駐車場1つ) を作ります。
+ * @returns {{ groundName: string, distanceKm: number, lots: Array }}
+ */
+export function createEmptyParkingInfo() {
+  return { groundName: '', distanceKm: 0, lots: [createParkingLot(0)] };
+}
+
+/**
+ * 旧形式の「指定駐車場 (designated) + それ以外 (other)」を駐車場の配列に変換します。
+ * ID を 'designated' / 'other' にするため、旧形式の割り当て結果 (assignedParking) はそのまま使えます。
+ * @param {{ designated?: Object, other?: Object }} info - 旧形式の駐車場情報
+ * @returns {Array} 駐車場の配列
+ */
+export function lotsFromLegacy({ designated = {}, other = {} }) {
+  return [
+    createParkingLot(0, { id: 'designated', name: designated.name || '指定駐車場', limit: Number(designated.limit) || 0, memo: designated.memo || '' }),
+    createParkingLot(1, { id: 'other', name: other.name || '指定駐車場以外', memo: other.memo || '' })
+  ];
+}
+
+/**
+ * 駐車場の配列の欠けた値・型を補います。(保存データの読み込み用。1つも無ければ空の駐車場を1つ作る)
+ * @param {*} lots - 駐車場の配列
+ * @returns {Array} 駐車場の配列
+ */
+export function normalizeParkingLots(lots) {
+  const list = Array.isArray(lots) ? lots.filter(lot => lot !== null && typeof lot === 'object') : [];
+  const usedIds = new Set();
+  const normalized = list.map((lot, index) => {
+    let id = typeof lot.id === 'string' && lot.id ? lot.id : `lot-${index + 1}`;
+    if (usedIds.has(id)) id = `${id}-${index + 1}`;
+    usedIds.add(id);
+    return createParkingLot(index, {
+      ...lot,
+      id,
+      name: typeof lot.name === 'string' ? lot.name : '',
+      limit: Math.max(0, parseInt(lot.limit, 10) || 0),
+      priority: Number.isFinite(Number(lot.priority)) ? Number(lot.priority) : index + 1,
+      memo: typeof lot.memo === 'string' ? lot.memo : '',
+      luggageOnly: !!lot.luggageOnly,
+      familyNames: Array.isArray(lot.familyNames) ? lot.familyNames.filter(name => typeof name === 'string' && name) : []
+    });
+  });
+  return normalized.length > 0 ? normalized : [createParkingLot(0)];
+}
+
+/**
+ * 優先順位の順 (同じ優先順位なら入力順) に並べた駐車場の配列を返します。
+ * @param {Array} lots - 駐車場の配列
+ * @returns {Array}
+ */
+export function sortLotsByPriority(lots) {
+  return lots.map((lot, index) => ({ lot, index }))
+    .sort((a, b) => a.lot.priority - b.lot.priority || a.index - b.index)
+    .map(({ lot }) => lot);
+}
+
+/**
+ * 車がその駐車場に停められる条件を満たすかを返します。(台数制限は見ない)
+ * @param {Object} car - 割り当て結果の車 (hasLuggage, familyName)
+ * @param {Object} lot - 駐車場
+ * @returns {boolean}
+ */
+export function isCarEligibleForLot(car, lot) {
+  if (lot.luggageOnly && !car.hasLuggage) return false;
+  if (lot.familyNames.length > 0 && !lot.familyNames.includes(car.familyName)) return false;
+  return true;
+}
+
+/**
+ * 駐車場の条件を短い文にします。(「荷物車専用」「A家・B家のみ」。条件が無ければ空文字)
+ * @param {Object} lot - 駐車場
+ * @returns {string}
+ */
+export function describeLotRules(lot) {
+  const rules = [];
+  if (lot.luggageOnly) rules.push('荷物車専用');
+  if (lot.familyNames.length > 0) rules.push(`${lot.familyNames.join('・')}のみ`);
+  return rules.join(' / ');
+}
+
+/**
+ * 車を駐車場に振り分けます。(car.assignedParking に駐車場の ID を入れる)
+ * 車は渡された順 (荷物車が先) に、条件を満たし空きのある駐車場のうち優先順位の高いものへ入れる。
+ * どこにも入らない車は UNASSIGNED_PARKING になる。
+ * @param {Array} cars - 割り当て結果の車 (別便は含めない)
+ * @param {Array} lots - 駐車場の配列
+ * @returns {Array} どこにも入らなかった車
+ */
+export function assignParkingLots(cars, lots) {
+  const sortedLots = sortLotsByPriority(lots);
+  const counts = new Map(sortedLots.map(lot => [lot.id, 0]));
+  const unassigned = [];
+  cars.forEach(car => {
+    const lot = sortedLots.find(l => isCarEligibleForLot(car, l) && (l.limit === 0 || counts.get(l.id) < l.limit));
+    if (lot) {
+      car.assignedParking = lot.id;
+      counts.set(lot.id, counts.get(lot.id) + 1);
+    } else {
+      car.assignedParking = UNASSIGNED_PARKING;
+      unassigned.push(car);
+    }
+  });
+  return unassigned;
+}
+
+/**
+ * 割り当て結果の駐車場の問題 (駐車場未定・台数超過・条件違反) を文の配列で返します。
+ * @param {Array} assignments - 割り当て結果 (別便を含んでもよい)
+ * @param {Array} lots - 駐車場の配列
+ * @returns {Array<string>}
+ */
+export function findParkingIssues(assignments, lots) {
+  const issues = [];
+  const cars = assignments.filter(car => car.id !== 'excluded-car');
+  const unassigned = cars.filter(car => !lots.some(lot => lot.id === car.assignedParking));
+  if (unassigned.length > 0) {
+    issues.push(`駐車場の決まっていない車があります: ${unassigned.map(car => car.name).join('、')}`);
+  }
+  lots.forEach(lot => {
+    const parked = cars.filter(car => car.assignedParking === lot.id);
+    if (lot.limit > 0 && parked.length > lot.limit) {
+      issues.push(`${lot.name} は ${lot.limit}台までですが ${parked.length}台になっています。`);
+    }
+    parked.filter(car => !isCarEligibleForLot(car, lot)).forEach(car => {
+      issues.push(`${car.name} は ${lot.name} (${describeLotRules(lot)}) の条件に合いません。`);
+    });
+  });
+  return issues;
+}
+
+// --- 駐車場の入力欄 (index.html・venues.html 共通) ---
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * 駐車場ごとの入力欄の HTML を作ります。(削除ボタンは data-action="delete-lot")
+ * @param {Array} lots - 駐車場の配列
+ * @param {Array<string>} familyNames - 「停められる家族を限定」の選択肢 (車を持っている家族)
+ * @returns {string}
+ */
+export function parkingLotEditorHtml(lots, familyNames) {
+  return lots.map((lot, index) => {
+    const familyOptions = [...new Set([...familyNames, ...lot.familyNames])].map(name => `
+      <label class="inline-flex items-center mr-3">
+        <input type="checkbox" data-field="familyName" value="${escapeHtml(name)}" ${lot.familyNames.includes(name) ? 'checked' : ''} class="mr-1 rounded border-gray-300">
+        ${escapeHtml(name)}
+      </label>`).join('');
+    return `
+    <div data-lot-id="${escapeHtml(lot.id)}" class="border border-gray-200 rounded-md p-3 bg-gray-50">
+      <div class="flex items-end space-x-2">
+        <div class="flex-grow">
+          <label class="block text-xs text-gray-600">名称</label>
+          <input type="text" data-field="name" value="${escapeHtml(lot.name)}" placeholder="${index === 0 ? 'SF-A面' : '丘の上：他応援車はこちらへ'}" class="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm">
+        </div>
+        <div class="w-20">
+          <label class="block text-xs text-gray-600">台数制限</label>
+          <input type="number" min="0" data-field="limit" value="${lot.limit || ''}" placeholder="なし" class="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm">
+        </div>
+        <div class="w-16">
+          <label class="block text-xs text-gray-600" title="小さいほど先に埋めます">優先</label>
+          <input type="number" data-field="priority" value="${lot.priority}" class="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm">
+        </div>
+        <button type="button" data-action="delete-lot" class="mb-1 text-red-600 hover:text-red-800 font-bold text-lg px-1" title="この駐車場を削除">&times;</button>
+      </div>
+      <textarea data-field="memo" rows="2" placeholder="備考 (例: 地図URL、注意事項)" class="mt-2 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm">${escapeHtml(lot.memo)}</textarea>
+      <label class="inline-flex items-center mt-2 text-sm text-gray-700">
+        <input type="checkbox" data-field="luggageOnly" ${lot.luggageOnly ? 'checked' : ''} class="mr-1 rounded border-gray-300">
+        荷物車専用
+      </label>
+      <details class="mt-1 text-sm text-gray-700">
+        <summary class="cursor-pointer">停められる家族を限定 (${lot.familyNames.length > 0 ? escapeHtml(lot.familyNames.join('・')) : '限定なし'})</summary>
+        <div class="mt-1">${familyOptions || '<span class="text-gray-500">車のある家族がいません。</span>'}</div>
+      </details>
+    </div>`;
+  }).join('');
+}
+
+/**
+ * 駐車場の入力欄 (parkingLotEditorHtml で描画したもの) から駐車場の配列を読み取ります。
+ * 名称は入力のまま (未入力なら空文字) です。
+ * @param {Element} container - 入力欄を描画した要素
+ * @returns {Array} 駐車場の配列
+ */
+export function readParkingLotEditor(container) {
+  return Array.from(container.querySelectorAll('[data-lot-id]')).map((card, index) => {
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    const priority = parseFloat(field('priority').value);
+    return {
+      id: card.dataset.lotId,
+      name: field('name').value,
+      limit: parseInt(field('limit').value, 10) || 0,
+      priority: Number.isFinite(priority) ? priority : index + 1,
+      memo: field('memo').value,
+      luggageOnly: field('luggageOnly').checked,
+      familyNames: Array.from(card.querySelectorAll('[data-field="familyName"]:checked')).map(input => input.value)
+    };
+  });
+}
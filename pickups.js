@@ -0,0 +1,181 @@
+// pickups.js: 乗車場所 (校門・駅など、子どもを車に乗せる場所) と、乗車場所を回る順番
+// 乗車場所はチームで決めた一覧 { id, name, lat, lng, memo } で、参加者 (家族のメンバー) は pickupPointId で自宅から近い乗車場所を持つ。
+// 車はドライバーの乗車場所から出発し、同乗者の乗車場所を回って会場 (緯度・経度を登録した会場) へ向かう。
+// 距離は地図サービスを使わずに緯度・経度からの直線距離で見積もる (オフラインでも使えるように)。DB や画面には触れない。
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * 乗車場所を1つ作ります。
+ * @param {Object} [values] - 上書きする値
+ * @returns {{ id: string, name: string, lat: number|null, lng: number|null, memo: string, updatedAt: number }}
+ */
+export function createPickupPoint(values = {}) {
+  return {
+    id: `pp${Date.now()}`,
+    name: '',
+    lat: null,
+    lng: null,
+    memo: '',
+    updatedAt: Date.now(),
+    ...values
+  };
+}
+
+/**
+ * 乗車場所の欠けた値・型を補います。範囲外の緯度・経度は未登録 (null) にします。(保存データの読み込み用)
+ * @param {Object} point - 乗車場所
+ * @returns {Object} 乗車場所
+ */
+export function normalizePickupPoint(point) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const location = readLatLng(point);
+  return createPickupPoint({
+    ...point,
+    name: text(point.name),
+    lat: location ? location.lat : null,
+    lng: location ? location.lng : null,
+    memo: text(point.memo),
+    updatedAt: Number(point.updatedAt) || 0
+  });
+}
+
+/**
+ * 緯度・経度を持っているか。(乗車場所・会場)
+ * @param {Object|null|undefined} place
+ * @returns {boolean}
+ */
+export function hasLatLng(place) {
+  return !!place && readLatLng(place) !== null;
+}
+
+/**
+ * 2地点の直線距離 (km)。
+ * @param {{ lat: number, lng: number }} a
+ * @param {{ lat: number, lng: number }} b
+ * @returns {number}
+ */
+export function distanceKm(a, b) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * 乗車場所を回る順番を決めます。出発地から目的地までの道のりが短くなるように、1か所ずつ最も遠回りの少ない位置へ差し込みます。
+ * 出発地・目的地が無い (緯度・経度が無い) ときは、その端を決めずに乗車場所どうしの道のりだけで考えます。
+ * @param {Object|null} origin - 出発地 (ドライバーの乗車場所)
+ * @param {Array<Object>} stops - 回る場所 (lat / lng を持つ)。緯度・経度の無い場所は最後に並べ、距離には含めません
+ * @param {Object|null} destination - 目的地 (会場)
+ * @returns {{ stops: Array<Object>, totalKm: number, detourKm: number }}
+ *   totalKm: 出発地 (無ければ最初の場所) から目的地 (無ければ最後の場所) までの道のり / detourKm: 出発地から目的地へ直行する場合より長くなった距離
+ */
+export function planPickupRoute(origin, stops, destination) {
+  const start = hasLatLng(origin) ? origin : null;
+  const end = hasLatLng(destination) ? destination : null;
+  const located = stops.filter(hasLatLng);
+  const route = [];
+  const legKm = (a, b) => (a && b ? distanceKm(a, b) : 0);
+
+  // 今の道のりのうち、stop を差し込んで最も遠回りが少ない位置
+  const bestInsertion = (stop) => {
+    let best = { index: 0, cost: Infinity };
+    for (let i = 0; i <= route.length; i++) {
+      const prev = i > 0 ? route[i - 1] : start;
+      const next = i < route.length ? route[i] : end;
+      const cost = legKm(prev, stop) + legKm(stop, next) - legKm(prev, next);
+      if (cost < best.cost) best = { index: i, cost };
+    }
+    return best;
+  };
+
+  // 遠い場所から差し込むと、近い場所が途中に入りやすい
+  const far = (stop) => (start ? distanceKm(start, stop) : 0) + (end ? distanceKm(stop, end) : 0);
+  [...located].sort((a, b) => far(b) - far(a)).forEach(stop => route.splice(bestInsertion(stop).index, 0, stop));
+
+  // 1か所ずつ抜き出して差し込み直し、短くならなくなるまで繰り返す (場所の数は車の定員までなので少ない)
+  for (let improved = true, rounds = 0; improved && rounds < 10; rounds++) {
+    improved = false;
+    for (let i = 0; i < route.length; i++) {
+      const stop = route[i];
+      const prev = i > 0 ? route[i - 1] : start;
+      const next = i + 1 < route.length ? route[i + 1] : end;
+      const saving = legKm(prev, stop) + legKm(stop, next) - legKm(prev, next);
+      route.splice(i, 1);
+      const best = bestInsertion(stop);
+      if (best.cost < saving - 1e-9) {
+        route.splice(best.index, 0, stop);
+        improved = true;
+      } else {
+        route.splice(i, 0, stop);
+      }
+    }
+  }
+
+  const points = [start, ...route, end].filter(Boolean);
+  const totalKm = points.slice(1).reduce((sum, point, i) => sum + distanceKm(points[i], point), 0);
+  const directKm = legKm(start, end);
+  return { stops: [...route, ...stops.filter(stop => !hasLatLng(stop))], totalKm, detourKm: Math.max(0, totalKm - directKm) };
+}
+
+/**
+ * 車の乗車場所ごとの同乗者を、回る順に並べます。乗車場所の無い同乗者は含めません。
+ * @param {Object} car - 割り当て結果の車 (driver / members)
+ * @param {Map<string, Object>} pointsById - 乗車場所ID -> 乗車場所
+ * @param {Object|null} destination - 目的地 (会場)
+ * @returns {{ stops: Array<{ point: Object, riders: Array }>, detourKm: number }}
+ */
+export function planCarPickups(car, pointsById, destination) {
+  const byPoint = new Map(); // 乗車場所ID -> { point, riders }
+  car.members.filter(Boolean).forEach(p => {
+    const point = p.pickupPointId && pointsById.get(p.pickupPointId);
+    if (!point) return;
+    if (!byPoint.has(point.id)) byPoint.set(point.id, { point, riders: [], lat: point.lat, lng: point.lng });
+    byPoint.get(point.id).riders.push(p);
+  });
+  const origin = (car.driver && car.driver.pickupPointId && pointsById.get(car.driver.pickupPointId)) || null;
+  const route = planPickupRoute(origin, [...byPoint.values()], destination);
+  return { stops: route.stops.map(({ point, riders }) => ({ point, riders })), detourKm: route.detourKm };
+}
+
+/**
+ * 乗車場所を回る順番の表示 (例: 「駅 (山田・鈴木) → 校門 (佐藤)」)。
+ * @param {Array<{ point: Object, riders: Array }>} stops - planCarPickups の stops
+ * @returns {string} 乗車場所が無ければ空文字
+ */
+export function describePickupStops(stops) {
+  return stops.map(({ point, riders }) => `${point.name} (${riders.map(p => p.name).join('・')})`).join(' → ');
+}
+
+/**
+ * 緯度・経度の入力を読み取ります。「35.6812, 139.7671」のほか、地図の URL (「@35.6812,139.7671」「?q=35.6812,139.7671」) も受け付けます。
+ * @param {string} text
+ * @returns {{ lat: number, lng: number }|null} 読み取れなければ null
+ */
+export function parseLatLng(text) {
+  const value = String(text ?? '').normalize('NFKC');
+  const match = /@(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/.exec(value) ||
+    /[?&](?:q|query|ll)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i.exec(value) ||
+    /^\s*(-?\d+(?:\.\d+)?)\s*[,、\s]\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value);
+  return match ? readLatLng({ lat: match[1], lng: match[2] }) : null;
+}
+
+/**
+ * 緯度・経度を入力欄の形 (「35.68120, 139.76710」) にします。
+ * @param {Object} place - 乗車場所・会場
+ * @returns {string} 緯度・経度が無ければ空文字
+ */
+export function formatLatLng(place) {
+  const location = readLatLng(place || {});
+  return location ? `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}` : '';
+}
+
+function readLatLng(place) {
+  if (place.lat === null || place.lat === undefined || place.lat === '' || place.lng === null || place.lng === undefined || place.lng === '') return null;
+  const lat = Number(place.lat);
+  const lng = Number(place.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
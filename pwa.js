@@ -0,0 +1,65 @@
+// pwa.js: Service Worker (sw.js) を登録し、新しい版が届いたら「再読み込み」を案内する
+// sw.js は新しい版をインストールしても、画面の「再読み込み」を押すまで入れ替わらない (入力途中の画面が急に変わらないように)。
+// 各ページで <script type="module" src="pwa.js"></script> として読み込む。
+
+const BANNER_ID = 'pwa-update-banner';
+let reloadRequested = false; // この画面で「再読み込み」を押した
+
+/**
+ * 「新しいバージョンがあります」の案内を表示します。
+ * @param {ServiceWorker} worker - 待機中の新しい Service Worker
+ */
+function showUpdateBanner(worker) {
+  if (document.getElementById(BANNER_ID)) return;
+  const banner = document.createElement('div');
+  banner.id = BANNER_ID;
+  banner.setAttribute('role', 'status');
+  banner.className = 'no-print fixed bottom-0 left-0 right-0 z-50 bg-gray-800 text-white text-sm p-3 flex flex-wrap items-center justify-center gap-3 shadow-lg';
+  banner.innerHTML = `
+    <span>新しいバージョンがあります。保存していない入力は再読み込みで消えます。</span>
+    <button type="button" data-action="reload" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded">再読み込み</button>
+    <button type="button" data-action="later" class="text-gray-300 hover:text-white underline">あとで</button>
+  `;
+  banner.querySelector('[data-action="reload"]').addEventListener('click', () => {
+    reloadRequested = true;
+    // 別の画面で入れ替え済みならそのまま再読み込み、まだなら入れ替わった後 (controllerchange) に再読み込みする
+    if (worker.state === 'activating' || worker.state === 'activated') location.reload();
+    else worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  banner.querySelector('[data-action="later"]').addEventListener('click', () => banner.remove());
+  document.body.appendChild(banner);
+}
+
+// インストール中の版が待機に入ったら案内する (初めてのインストールは案内しない)
+function watchInstalling(worker) {
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+  });
+}
+
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js') // sw.jsを登録
+      .then(registration => {
+        console.log('ServiceWorker registration successful with scope: ', registration.scope);
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+        if (registration.installing) watchInstalling(registration.installing);
+        registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+        // ホーム画面のアプリは開いたままになりやすいので、画面に戻ってきたときにも新しい版を確かめる
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') registration.update().catch(() => { /* オフライン */ });
+        });
+      })
+      .catch(error => {
+        console.log('ServiceWorker registration failed: ', error);
+      });
+  });
+
+  // 別の画面 (タブ) で「再読み込み」を押した場合もこの画面の Service Worker が入れ替わる。その場合は勝手に再読み込みせず、案内だけにする
+  // 初めてのインストール (それまで Service Worker が無かった) で管理下に入った場合は何もしない
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadRequested) location.reload();
+    else if (hadController && navigator.serviceWorker.controller) showUpdateBanner(navigator.serviceWorker.controller);
+  });
+}
@@ -0,0 +1,349 @@
+// qrcode.js: QR コードの生成 (外部のサービス・ライブラリを使わずに端末内で作る)
+// 共有リンク (share.js) の表示用。文字列を UTF-8 のバイトモードで符号化し、型番 1〜40 のうちデータが入る最小のものを選ぶ。
+// DB や画面には触れない。
+
+// 誤り訂正レベルごとの表 (添字は型番。0 は未使用)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const NUM_ERROR_CORRECTION_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 }; // 形式情報での誤り訂正レベルの値
+
+/**
+ * 文字列の QR コードを作ります。
+ * @param {string} text - 符号化する文字列 (UTF-8 のバイトモード)
+ * @param {Object} [options]
+ * @param {'L'|'M'|'Q'|'H'} [options.errorCorrection='L'] - 誤り訂正レベル (L が最も多く入る)
+ * @returns {{ version: number, size: number, modules: Array<Array<boolean>> }} modules[y][x] が true なら黒
+ * @throws {Error} 型番 40 にも入らないほど長いとき
+ */
+export function createQrCode(text, { errorCorrection = 'L' } = {}) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const ecl = FORMAT_BITS[errorCorrection] !== undefined ? errorCorrection : 'L';
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    if (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 <= getNumDataCodewords(version, ecl) * 8) break;
+  }
+  if (version > 40) throw new Error(`QRコードにするには長すぎます (${bytes.length}バイト)。`);
+
+  // データのビット列: モード (0100 = バイト) + 文字数 + データ + 終端 + 埋め草
+  const capacityBits = getNumDataCodewords(version, ecl) * 8;
+  const bits = [];
+  appendBits(bits, 0x4, 4);
+  appendBits(bits, bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => appendBits(bits, b, 8));
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(bits, pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+
+  const matrix = createMatrix(version);
+  drawFunctionPatterns(matrix, version, ecl);
+  drawCodewords(matrix, addEccAndInterleave(data, version, ecl));
+
+  // 8種類のマスクのうち、読み取りにくさの点数が最も低いものを使う
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, ecl, mask);
+    const score = getPenaltyScore(matrix.modules);
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    applyMask(matrix, mask); // 元に戻す (XOR)
+  }
+  applyMask(matrix, bestMask);
+  drawFormatBits(matrix, ecl, bestMask);
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * QR コードを SVG の文字列にします。
+ * @param {{ size: number, modules: Array<Array<boolean>> }} qr - createQrCode の戻り値
+ * @param {Object} [options]
+ * @param {number} [options.moduleSize=4] - 1マスの大きさ (px)
+ * @param {number} [options.margin=4] - 周りの余白 (マス数。4 以上が推奨)
+ * @returns {string} SVG
+ */
+export function qrCodeSvg(qr, { moduleSize = 4, margin = 4 } = {}) {
+  const total = qr.size + margin * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${total * moduleSize}" height="${total * moduleSize}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+// --- 容量 ---
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+  return Math.floor(getNumRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+}
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+// --- 誤り訂正 (リード・ソロモン符号、GF(256)・生成多項式 0x11D) ---
+
+function addEccAndInterleave(data, version, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  // ブロックに分けて誤り訂正コードを付ける (後ろのブロックはデータが1バイト多い)
+  const divisor = rsComputeDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = rsComputeRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0); // 並べ替えのための詰め物 (出力しない)
+    blocks.push(block.concat(ecc));
+  }
+
+  // 各ブロックから1バイトずつ交互に並べる
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function rsComputeDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = rsMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = rsMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsComputeRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= rsMultiply(coef, factor); });
+  });
+  return result;
+}
+
+function rsMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// --- マス目 ---
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    isFunction: Array.from({ length: size }, () => new Array(size).fill(false)) // 位置検出パターンなど (データを置かない)
+  };
+}
+
+function setFunctionModule(matrix, x, y, dark) {
+  matrix.modules[y][x] = dark;
+  matrix.isFunction[y][x] = true;
+}
+
+function drawFunctionPatterns(matrix, version, ecl) {
+  const { size } = matrix;
+  // タイミングパターン
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(matrix, 6, i, i % 2 === 0);
+    setFunctionModule(matrix, i, 6, i % 2 === 0);
+  }
+  // 位置検出パターン (分離パターンを含む)
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunctionModule(matrix, x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  // 位置合わせパターン (位置検出パターンと重なる3か所を除く)
+  const positions = getAlignmentPatternPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => positions.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunctionModule(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  // 形式情報 (仮。マスクを決めてから書き直す)・型番情報
+  drawFormatBits(matrix, ecl, 0);
+  drawVersion(matrix, version);
+}
+
+function getAlignmentPatternPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function drawFormatBits(matrix, ecl, mask) {
+  const { size } = matrix;
+  const data = (FORMAT_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  // 左上
+  for (let i = 0; i <= 5; i++) setFunctionModule(matrix, 8, i, bit(i));
+  setFunctionModule(matrix, 8, 7, bit(6));
+  setFunctionModule(matrix, 8, 8, bit(7));
+  setFunctionModule(matrix, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunctionModule(matrix, 14 - i, 8, bit(i));
+  // 右上・左下
+  for (let i = 0; i < 8; i++) setFunctionModule(matrix, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunctionModule(matrix, 8, size - 15 + i, bit(i));
+  setFunctionModule(matrix, 8, size - 8, true); // 常に黒のマス
+}
+
+function drawVersion(matrix, version) {
+  if (version < 7) return;
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  const bits = (version << 12) | rem;
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) !== 0;
+    const a = matrix.size - 11 + i % 3;
+    const b = Math.floor(i / 3);
+    setFunctionModule(matrix, a, b, dark);
+    setFunctionModule(matrix, b, a, dark);
+  }
+}
+
+// 右下から2列ずつジグザグにデータを置く
+function drawCodewords(matrix, data) {
+  const { size, modules, isFunction } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // タイミングパターンの列は飛ばす
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < data.length * 8) {
+          modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask(matrix, mask) {
+  const pattern = MASK_PATTERNS[mask];
+  matrix.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (!matrix.isFunction[y][x] && pattern(x, y)) row[x] = !dark;
+  }));
+}
+
+// 読み取りにくさの点数 (JIS X 0510 の失点規則)
+function getPenaltyScore(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  let score = 0;
+  const finderLike = [true, false, true, true, true, false, true];
+  lines.forEach(line => {
+    // 同じ色が5つ以上続く
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) score += runLength - 2;
+        runLength = 1;
+      }
+    }
+    // 位置検出パターンに似た並び (1:1:3:1:1 の前後に白が4つ。外側は白とみなす)
+    const isLight = (i) => i < 0 || i >= size || !line[i];
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) continue;
+      const lightBefore = [1, 2, 3, 4].every(k => isLight(i - k));
+      const lightAfter = [0, 1, 2, 3].every(k => isLight(i + 7 + k));
+      if (lightBefore || lightAfter) score += 40;
+    }
+  });
+
+  // 2x2 の同じ色
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  // 黒の割合が50%から離れている
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
@@ -0,0 +1,95 @@
+// rollover.js: シーズンの切り替え (進級・卒業)
+// 参加者の学年 (data.grade の自由入力) を読み取って1つ上げ、最上級生を卒業として扱う。
+// DB への書き込み・元に戻すためのスナップショットは master.html で行う。
+
+const KINDERGARTEN = { '年少': -2, '年中': -1, '年長': 0 };
+
+/**
+ * 学年の文字列を数値に変換します。(小1 = 1 〜 小6 = 6, 中1 = 7 〜 中3 = 9, 年長 = 0)
+ * 「5年」「５年生」「小5」「小学5年」「中1」「年長」などに対応します。
+ * 学年の項目の種類を「数値」にした場合の数値 (5 = 小5) はそのまま学年とします。
+ * @param {string|number} text - 学年
+ * @returns {number|null} 読み取れなければ null
+ */
+export function parseGrade(text) {
+  if (typeof text === 'number') return Number.isInteger(text) ? text : null;
+  const value = String(text ?? '').normalize('NFKC').replace(/\s+/g, '');
+  if (!value) return null;
+  if (KINDERGARTEN[value] !== undefined) return KINDERGARTEN[value];
+  const junior = value.match(/^中(?:学)?(\d)(?:年生?)?$/);
+  if (junior) return 6 + Number(junior[1]);
+  const elementary = value.match(/^(?:小(?:学)?)?(\d)(?:年生?)?$/);
+  if (elementary && (value.includes('年') || value.startsWith('小'))) return Number(elementary[1]);
+  return null;
+}
+
+/**
+ * 学年の数値を、元の書き方 (「5年」「5年生」「小5」) に合わせた文字列にします。
+ * @param {number} level - 学年 (parseGrade の形式)
+ * @param {string|number} original - 元の学年 (数値なら数値のまま返す)
+ * @returns {string|number}
+ */
+export function formatGrade(level, original = '') {
+  if (typeof original === 'number') return level;
+  const value = String(original ?? '').normalize('NFKC');
+  if (level >= 7) return `中${level - 6}`;
+  if (level <= 0) return Object.keys(KINDERGARTEN).find(key => KINDERGARTEN[key] === level) || '年長';
+  if (value.startsWith('小')) return `小${level}`;
+  return `${level}年${value.endsWith('生') ? '生' : ''}`;
+}
+
+/**
+ * 進級の計画を作ります。学年のある参加者を1学年上げ、最上級生 (maxGrade) は卒業とします。
+ * 元の家族データは変更しません。
+ * @param {Array} families - 家族データ
+ * @param {Object} options
+ * @param {number} options.season - 新しいシーズン (年度)
+ * @param {number} [options.maxGrade=6] - 最上級の学年 (6 = 小6、9 = 中3)
+ * @param {'archive'|'flag'} [options.graduateAction='archive'] - archive: 名簿から外して archivedMembers に移す / flag: 名簿に残して卒業の印を付ける
+ * @returns {{ families: Array, promotions: Array, graduates: Array, unparsed: Array }}
+ *   promotions: { familyName, member, from, to } / graduates: { familyName, member, from } / unparsed: { familyName, member, grade }
+ */
+export function planRollover(families, { season, maxGrade = 6, graduateAction = 'archive' }) {
+  const promotions = [];
+  const graduates = [];
+  const unparsed = [];
+
+  const nextFamilies = families.map(family => {
+    const members = [];
+    const archivedMembers = [...(family.archivedMembers || [])];
+    family.members.forEach(original => {
+      const member = { ...original, data: { ...(original.data || {}) } };
+      const grade = member.data.grade;
+      if (grade === undefined || grade === null || grade === '' || grade === false || member.graduatedSeason) {
+        members.push(member);
+        return;
+      }
+      const level = parseGrade(grade);
+      if (level === null) {
+        unparsed.push({ familyName: family.familyName, member, grade });
+        members.push(member);
+        return;
+      }
+      if (level >= maxGrade) {
+        graduates.push({ familyName: family.familyName, member, from: grade });
+        member.graduatedSeason = season;
+        member.data.grade = '卒業';
+        if (graduateAction === 'archive') {
+          archivedMembers.push(member);
+        } else {
+          members.push(member);
+        }
+        return;
+      }
+      const to = formatGrade(level + 1, grade);
+      promotions.push({ familyName: family.familyName, member, from: grade, to });
+      member.data.grade = to;
+      members.push(member);
+    });
+    const next = { ...family, members };
+    if (archivedMembers.length > 0) next.archivedMembers = archivedMembers;
+    return next;
+  });
+
+  return { families: nextFamilies, promotions, graduates, unparsed };
+}
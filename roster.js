@@ -0,0 +1,399 @@
+// roster.js: 名簿 (家族・参加者) と車の CSV 入出力
+// スプレッドシートの名簿を取り込むための列の対応付けと、現在のマスターデータとの差分 (追加・更新・削除) を計算する。
+// 参加者の項目 (attributes.js) は1項目1列で、列名は項目名。DB への書き込みは master.html で行う。
+
+import { normalizeAttributeValue } from './attributes.js';
+import { formatSeatRows, normalizeSeatLayout } from './seats.js';
+
+const MEMBER_TYPES = ['選手', '保護者', '兄弟', 'その他'];
+const FLAG_WORDS = ['○', '〇', '◯', '1', 'true', 'yes', 'y', 'はい', '✓', '✔', 'あり', '有'];
+
+// 項目の一覧が無いときの項目 (以前の固定の列)
+const LEGACY_ATTRIBUTES = [
+  { key: 'grade', label: '学年', type: 'text' },
+  { key: 'school', label: '学校', type: 'text' }
+];
+
+// 参加者の項目の列のキー (名簿の列のキー familyName・name などと重ならないようにする)
+const ATTRIBUTE_FIELD_PREFIX = 'data.';
+
+/**
+ * 名簿 CSV の列 (参加者の項目の一覧が無いときの列)。headers は見出しから列を推定するための語。
+ */
+export const MEMBER_FIELDS = getMemberFields([]);
+
+/**
+ * 名簿 CSV の列。家族〜同乗優先、参加者の項目 (order 順に1項目1列)、別名・よみ の順です。
+ * 項目の列は attribute に項目を持ちます。
+ * @param {Array} attributes - 参加者の項目 (空なら学年・学校)
+ * @returns {Array<Object>}
+ */
+export function getMemberFields(attributes) {
+  const list = attributes && attributes.length > 0 ? [...attributes].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)) : LEGACY_ATTRIBUTES;
+  return [
+    { key: 'familyName', label: '家族', required: true, headers: ['家族', 'family'] },
+    { key: 'id', label: 'ID', required: false, headers: ['id'] },
+    { key: 'name', label: '名前', required: true, headers: ['名前', '氏名', 'name'] },
+    { key: 'type', label: 'タイプ', required: false, headers: ['タイプ', '区分', '種別', 'type'] },
+    { key: 'isFlagTarget', label: '同乗優先', required: false, headers: ['同乗優先', '優先', 'flag'] },
+    ...list.map(attribute => ({
+      key: ATTRIBUTE_FIELD_PREFIX + attribute.key,
+      label: attribute.label,
+      required: false,
+      headers: [normalizeHeader(attribute.label), normalizeHeader(attribute.key)],
+      attribute
+    })),
+    { key: 'aliases', label: '別名・よみ', required: false, headers: ['別名', 'よみ', '読み', 'ふりがな', 'alias'] }
+  ];
+}
+
+/**
+ * 車 CSV の列。
+ */
+export const CAR_FIELDS = [
+  { key: 'id', label: 'ID', required: false, headers: ['id'] },
+  { key: 'name', label: '車名', required: true, headers: ['車名', '車', 'name'] },
+  { key: 'familyName', label: '家族', required: false, headers: ['家族', 'family'] },
+  { key: 'baseCapacity', label: '定員', required: true, headers: ['定員', '乗車', 'capacity'] }
+];
+
+function normalizeHeader(text) {
+  return String(text || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * 見出し行から、名簿 ('members') と車 ('cars') のどちらの CSV かを推定します。
+ * @param {Array<string>} header - 見出し行
+ * @returns {'members'|'cars'}
+ */
+export function detectRosterKind(header) {
+  return header.some(cell => CAR_FIELDS.find(f => f.key === 'baseCapacity').headers.some(w => normalizeHeader(cell).includes(w)))
+    ? 'cars'
+    : 'members';
+}
+
+/**
+ * 見出し行から列の対応を推定します。見出しが一致しない項目は -1 (読み込まない)。
+ * (「家族」は「家族名」にも一致するため、完全一致を先に探す)
+ * @param {Array<string>} header - 見出し行
+ * @param {Array} fields - MEMBER_FIELDS または CAR_FIELDS
+ * @returns {Object} 項目キー -> 列番号
+ */
+export function guessColumnMapping(header, fields) {
+  const normalized = header.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  fields.forEach(field => {
+    const exact = normalized.findIndex((cell, i) => !used.has(i) && (cell === normalizeHeader(field.label) || field.headers.includes(cell)));
+    const partial = normalized.findIndex((cell, i) => !used.has(i) && field.headers.some(w => cell.includes(w)));
+    const index = exact >= 0 ? exact : partial;
+    mapping[field.key] = index;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+}
+
+/**
+ * 家族データを名簿 CSV の行 (見出し付き) に変換します。
+ * @param {Array} families - 家族データ (order 順)
+ * @param {Array} [attributes] - 参加者の項目 (空なら学年・学校の列)
+ * @returns {Array<Array<string|number>>}
+ */
+export function buildMemberRows(families, attributes = []) {
+  const fields = getMemberFields(attributes);
+  const attributeFields = fields.filter(f => f.attribute);
+  const rows = [fields.map(f => f.label)];
+  families.forEach(family => family.members.forEach(member => {
+    rows.push([
+      family.familyName,
+      member.id,
+      member.name,
+      member.type,
+      member.isFlagTarget ? '○' : '',
+      ...attributeFields.map(f => formatAttributeCell(f.attribute, member.data?.[f.attribute.key])),
+      (member.aliases || []).join(', ')
+    ]);
+  }));
+  return rows;
+}
+
+// はい・いいえは ○ / × (未入力は空)
+function formatAttributeCell(attribute, value) {
+  const normalized = normalizeAttributeValue(attribute, value);
+  if (typeof normalized === 'boolean') return normalized ? '○' : '×';
+  return normalized;
+}
+
+// 項目の列の値を読み取る。読み取れない数値は null
+function parseAttributeCell(attribute, text) {
+  if (text === '') return '';
+  if (attribute.type === 'boolean') return parseFlag(text);
+  const value = normalizeAttributeValue(attribute, text);
+  return value === '' ? null : value;
+}
+
+/**
+ * 車データを車 CSV の行 (見出し付き) に変換します。
+ * @param {Array} cars - 車データ
+ * @returns {Array<Array<string|number>>}
+ */
+export function buildCarRows(cars) {
+  return [CAR_FIELDS.map(f => f.label), ...cars.map(car => [car.id, car.name, car.familyName || '', normalizeSeatLayout(car).baseCapacity])];
+}
+
+function readCell(cells, mapping, key) {
+  const index = mapping[key];
+  return index >= 0 ? (cells[index] ?? '').trim() : undefined;
+}
+
+function parseFlag(text) {
+  return FLAG_WORDS.includes(normalizeHeader(text));
+}
+
+function parseAliases(text) {
+  return text.split(/[,、，]/).map(alias => alias.trim()).filter(Boolean);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? '○' : '-';
+  return value === undefined || value === null || value === '' ? '(空)' : String(value);
+}
+
+function sameValue(a, b) {
+  return formatValue(a) === formatValue(b);
+}
+
+/**
+ * 名簿 CSV を現在の家族データと照合し、反映後の家族データと差分を計算します。
+ * 参加者は ID -> 「家族+名前」の順で既存データと対応付けます。対応付けた列が無い項目は変更しません。
+ * @param {Array<Array<string>>} rows - CSV の行 (見出し行を除く)
+ * @param {Object} mapping - 項目キー -> 列番号 (guessColumnMapping の形式)
+ * @param {Array} families - 現在の家族データ
+ * @param {'merge'|'replace'} mode - merge: 追加・更新のみ / replace: CSV に無い参加者は削除
+ * @param {Array} [attributes] - 参加者の項目 (空なら学年・学校の列)
+ * @returns {{ families: Array, deletedFamilyNames: Array<string>, adds: Array, updates: Array, deletes: Array, unchanged: number, warnings: Array<string> }}
+ */
+export function diffMembers(rows, mapping, families, mode = 'merge', attributes = []) {
+  const attributeFields = getMemberFields(attributes).filter(f => f.attribute);
+  const nextFamilies = families.map(family => ({ ...family, members: family.members.map(member => ({ ...member, data: { ...(member.data || {}) } })) }));
+  const findById = (id) => {
+    const family = nextFamilies.find(f => f.members.some(m => m.id === id));
+    return family ? { family, member: family.members.find(m => m.id === id) } : null;
+  };
+  const findByName = (familyName, name) => {
+    const family = nextFamilies.find(f => f.familyName === familyName);
+    const member = family?.members.find(m => m.name === name);
+    return member ? { family, member } : null;
+  };
+  let maxOrder = Math.max(-1, ...nextFamilies.map(f => f.order ?? -1));
+  const familyFor = (familyName) => {
+    let family = nextFamilies.find(f => f.familyName === familyName);
+    if (!family) {
+      family = { familyName, order: ++maxOrder, members: [] };
+      nextFamilies.push(family);
+    }
+    return family;
+  };
+
+  const adds = [];
+  const updates = [];
+  const warnings = [];
+  const seenIds = new Set();
+  let unchanged = 0;
+  const idBase = Date.now();
+
+  rows.forEach((cells, rowIndex) => {
+    const line = rowIndex + 2; // 見出し行の次が2行目
+    const familyName = readCell(cells, mapping, 'familyName');
+    const name = readCell(cells, mapping, 'name');
+    if (!familyName || !name) {
+      warnings.push(`${line}行目: 家族と名前は必須です。読み飛ばしました。`);
+      return;
+    }
+    const id = readCell(cells, mapping, 'id');
+    let type = readCell(cells, mapping, 'type');
+    if (type !== undefined && type !== '' && !MEMBER_TYPES.includes(type)) {
+      warnings.push(`${line}行目: タイプ「${type}」は使えません (${MEMBER_TYPES.join('・')})。タイプは変更しません。`);
+      type = undefined;
+    }
+
+    const found = (id && findById(id)) || findByName(familyName, name);
+    if (found && seenIds.has(found.member.id)) {
+      warnings.push(`${line}行目: 「${name}」は前の行と重複しています。読み飛ばしました。`);
+      return;
+    }
+
+    const values = {
+      name,
+      type: type || undefined,
+      isFlagTarget: mapping.isFlagTarget >= 0 ? parseFlag(readCell(cells, mapping, 'isFlagTarget')) : undefined,
+      aliases: mapping.aliases >= 0 ? parseAliases(readCell(cells, mapping, 'aliases')) : undefined
+    };
+    // 参加者の項目 (対応付けた列が無い項目は undefined で、変更しない)
+    const data = {};
+    attributeFields.forEach(field => {
+      const text = readCell(cells, mapping, field.key);
+      if (text === undefined) return;
+      const value = parseAttributeCell(field.attribute, text);
+      if (value === null) {
+        warnings.push(`${line}行目: ${field.label}「${text}」は数値として読めません。${field.label}は変更しません。`);
+        return;
+      }
+      data[field.attribute.key] = value;
+    });
+
+    if (!found) {
+      const newId = id || `p${idBase}-${rowIndex}`;
+      const member = {
+        id: newId,
+        name,
+        type: values.type || '選手',
+        isFlagTarget: values.isFlagTarget ?? false,
+        data: {}
+      };
+      Object.entries(data).forEach(([key, value]) => {
+        if (value !== '') member.data[key] = value;
+      });
+      if (values.aliases && values.aliases.length > 0) member.aliases = values.aliases;
+      familyFor(familyName).members.push(member);
+      seenIds.add(newId);
+      adds.push({ familyName, member });
+      return;
+    }
+
+    const { family, member } = found;
+    seenIds.add(member.id);
+    const changes = [];
+    const apply = (label, current, next, assign) => {
+      if (next === undefined || sameValue(current, next)) return;
+      changes.push({ label, from: formatValue(current), to: formatValue(next) });
+      assign(next);
+    };
+    apply('名前', member.name, values.name, v => { member.name = v; });
+    apply('タイプ', member.type, values.type, v => { member.type = v; });
+    apply('同乗優先', !!member.isFlagTarget, values.isFlagTarget, v => { member.isFlagTarget = v; });
+    attributeFields.forEach(field => {
+      const key = field.attribute.key;
+      // 空にした項目は保存しない (マスターデータ管理の入力欄と同じ)
+      apply(field.label, normalizeAttributeValue(field.attribute, member.data[key]), data[key], v => {
+        if (v === '') delete member.data[key];
+        else member.data[key] = v;
+      });
+    });
+    apply('別名・よみ', member.aliases || [], values.aliases, v => { member.aliases = v; });
+    if (family.familyName !== familyName) {
+      changes.push({ label: '家族', from: family.familyName, to: familyName });
+      family.members = family.members.filter(m => m !== member);
+      familyFor(familyName).members.push(member);
+    }
+
+    if (changes.length > 0) {
+      updates.push({ familyName, member, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const deletes = [];
+  if (mode === 'replace') {
+    nextFamilies.forEach(family => {
+      family.members.filter(member => !seenIds.has(member.id)).forEach(member => deletes.push({ familyName: family.familyName, member }));
+      family.members = family.members.filter(member => seenIds.has(member.id));
+    });
+  }
+  // 取り込みでメンバーがいなくなった家族 (削除・別の家族への移動) は削除する。元から空の家族はそのまま残す。
+  const deletedFamilyNames = nextFamilies
+    .filter(f => f.members.length === 0 && families.some(o => o.familyName === f.familyName && o.members.length > 0))
+    .map(f => f.familyName);
+
+  return {
+    families: nextFamilies.filter(f => !deletedFamilyNames.includes(f.familyName)),
+    deletedFamilyNames,
+    adds,
+    updates,
+    deletes,
+    unchanged,
+    warnings
+  };
+}
+
+/**
+ * 車 CSV を現在の車データと照合し、反映後の車データと差分を計算します。
+ * 車は ID -> 車名 の順で既存データと対応付けます。定員が列ごとの席数の合計と違う車は、列ごとの席数を消します。
+ * @param {Array<Array<string>>} rows - CSV の行 (見出し行を除く)
+ * @param {Object} mapping - 項目キー -> 列番号
+ * @param {Array} cars - 現在の車データ
+ * @param {'merge'|'replace'} mode - merge: 追加・更新のみ / replace: CSV に無い車は削除
+ * @returns {{ cars: Array, adds: Array, updates: Array, deletes: Array, unchanged: number, warnings: Array<string> }}
+ */
+export function diffCars(rows, mapping, cars, mode = 'merge') {
+  const nextCars = cars.map(car => ({ ...car }));
+  const adds = [];
+  const updates = [];
+  const warnings = [];
+  const seenIds = new Set();
+  let unchanged = 0;
+  const idBase = Date.now();
+
+  rows.forEach((cells, rowIndex) => {
+    const line = rowIndex + 2;
+    const name = readCell(cells, mapping, 'name');
+    const capacityText = readCell(cells, mapping, 'baseCapacity');
+    const baseCapacity = parseInt((capacityText || '').normalize('NFKC'), 10);
+    if (!name || !(baseCapacity > 0)) {
+      warnings.push(`${line}行目: 車名と定員 (1以上の数値) は必須です。読み飛ばしました。`);
+      return;
+    }
+    const id = readCell(cells, mapping, 'id');
+    const familyName = readCell(cells, mapping, 'familyName');
+    const car = (id && nextCars.find(c => c.id === id)) || nextCars.find(c => c.name === name);
+    if (car && seenIds.has(car.id)) {
+      warnings.push(`${line}行目: 「${name}」は前の行と重複しています。読み飛ばしました。`);
+      return;
+    }
+
+    if (!car) {
+      const newCar = { id: id || `c${idBase}-${rowIndex}`, name, familyName: familyName || '', baseCapacity };
+      nextCars.push(newCar);
+      seenIds.add(newCar.id);
+      adds.push({ car: newCar });
+      return;
+    }
+
+    seenIds.add(car.id);
+    const changes = [];
+    const apply = (label, key, next) => {
+      if (next === undefined || sameValue(car[key], next)) return;
+      changes.push({ label, from: formatValue(car[key]), to: formatValue(next) });
+      car[key] = next;
+    };
+    apply('車名', 'name', name);
+    apply('家族', 'familyName', familyName);
+    // 列ごとの席数があると定員はその合計になる (seats.js) ため、今の定員はその合計と比べ、
+    // 合計と違う定員にするときは列ごとの席数を消す
+    const { seatRows, baseCapacity: seatTotal } = normalizeSeatLayout(car);
+    car.baseCapacity = seatTotal;
+    apply('定員', 'baseCapacity', baseCapacity);
+    if (seatRows.length > 0 && seatTotal !== baseCapacity) {
+      changes.push({ label: '列ごとの席数', from: formatSeatRows(seatRows), to: formatValue('') });
+      warnings.push(`${line}行目: 「${name}」の定員${baseCapacity}名は列ごとの席数 (${formatSeatRows(seatRows)} = ${seatTotal}名) と違うため、列ごとの席数を消します。`);
+      car.seatRows = [];
+    }
+    if (changes.length > 0) {
+      updates.push({ car, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const deletes = mode === 'replace' ? nextCars.filter(car => !seenIds.has(car.id)).map(car => ({ car })) : [];
+  return {
+    cars: nextCars.filter(car => !deletes.some(d => d.car === car)),
+    adds,
+    updates,
+    deletes,
+    unchanged,
+    warnings
+  };
+}
@@ -0,0 +1,192 @@
+// rsvp.js: 出欠 (LINE投票・スプレッドシート) の取り込みと名前の照合
+// 貼り付けたテキストや CSV/TSV から名前と出欠・運転可否を読み取り、マスターの参加者と照合する。
+
+import { detectDelimiter, parseDelimited } from './csv.js';
+
+// 旧字体・異体字 -> 通常の字 (名簿と入力で字体が違うことが多いもの)
+const KANJI_VARIANTS = {
+  '髙': '高', '﨑': '崎', '嵜': '崎', '邊': '辺', '邉': '辺', '齋': '斎', '齊': '斉', '濵': '浜', '濱': '浜',
+  '澤': '沢', '櫻': '桜', '國': '国', '廣': '広', '眞': '真', '德': '徳', '惠': '恵', '瀨': '瀬', '冨': '富',
+  '槇': '槙', '曻': '昇'
+};
+const HONORIFICS = /(さん|くん|ちゃん|さま|様|君|氏)$/;
+
+const STATUS_WORDS = {
+  yes: ['参加', '出席', '○', '〇', '◯', 'yes', 'y', 'ok', '可', '行く', '行きます'],
+  no: ['不参加', '欠席', '×', '✕', 'x', 'no', 'n', '不可', '行かない', '未定', '△', '?', '？']
+};
+const DRIVE_MARKERS = /(🚗|運転可|運転できる|運転|車出し可?|車出せる|車出します|車可|[(（]車[)）])/g;
+const DRIVE_WORDS = ['○', '〇', '◯', 'yes', 'y', 'ok', '可', '運転', '運転可', '車', '出せる', '出します'];
+
+const HEADER_WORDS = {
+  name: ['名前', '氏名', 'なまえ', 'name', '参加者', 'メンバー', '選手名'],
+  status: ['出欠', '参加', '回答', 'status', '出席', '参加可否'],
+  drive: ['運転', '車', '配車', 'drive', '車出し', '運転可否']
+};
+
+/**
+ * 名前を照合用に正規化します。
+ * 全角/半角 (NFKC)・空白・カタカナ/ひらがな・大文字/小文字・旧字体・敬称の違いを吸収します。
+ * @param {string} name - 名前
+ * @returns {string} 正規化した名前
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60)) // カタカナ -> ひらがな
+    .toLowerCase()
+    .replace(/./gu, ch => KANJI_VARIANTS[ch] || ch)
+    .replace(HONORIFICS, '');
+}
+
+function normalizeWord(text) {
+  return (text || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+function parseStatus(text) {
+  const word = normalizeWord(text);
+  if (!word) return null;
+  if (STATUS_WORDS.no.some(w => normalizeWord(w) === word)) return false;
+  if (STATUS_WORDS.yes.some(w => normalizeWord(w) === word)) return true;
+  return null;
+}
+
+function parseDrive(text) {
+  const word = normalizeWord(text);
+  return DRIVE_WORDS.some(w => normalizeWord(w) === word);
+}
+
+// 見出しが一致する列 (完全一致を先に探す)。used の列は除く (「参加者」の列を「参加」の列としない)
+function findColumn(header, words, used = []) {
+  const cells = header.map(normalizeWord);
+  const targets = words.map(normalizeWord);
+  const exact = cells.findIndex((cell, i) => !used.includes(i) && targets.includes(cell));
+  if (exact >= 0) return exact;
+  return cells.findIndex((cell, i) => !used.includes(i) && targets.some(w => cell.includes(w)));
+}
+
+/**
+ * 出欠のテキストを読み取ります。
+ * - CSV/TSV: 見出し行 (名前/出欠/運転) があれば列を判別。無ければ 1列目=名前, 2列目=出欠, 3列目=運転。
+ * - テキスト: 1行に1人 (「、」「,」「/」区切りも可)。「【参加】」「不参加:」などの見出しで以降の出欠を切り替える。
+ *   名前に「🚗」「(車)」「運転可」などが付いていれば運転可とみなす。
+ * @param {string} text - 貼り付けたテキストまたはファイルの内容
+ * @returns {Array} { raw, name, attending, canDrive } の配列
+ */
+export function parseRsvp(text) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return [];
+
+  const delimiter = detectDelimiter(text);
+  const rows = parseDelimited(text, delimiter);
+  const header = rows[0];
+  const nameCol = findColumn(header, HEADER_WORDS.name);
+  // 見出しの無い表は、すべての行の2列目が出欠として読める場合だけ (「斗愛, 湊多」のような名前の列挙と区別する)
+  const isTable = nameCol >= 0 || rows.every(cells => cells.length >= 2 && parseStatus(cells[1]) !== null);
+  if (isTable) {
+    const statusCol = nameCol >= 0 ? findColumn(header, HEADER_WORDS.status, [nameCol]) : 1;
+    const driveCol = nameCol >= 0 ? findColumn(header, HEADER_WORDS.drive, [nameCol, statusCol]) : 2;
+    return rows.slice(nameCol >= 0 ? 1 : 0)
+      .filter(cells => cells[Math.max(nameCol, 0)])
+      .map(cells => {
+        const raw = cells[Math.max(nameCol, 0)];
+        const status = statusCol >= 0 ? parseStatus(cells[statusCol]) : null;
+        return {
+          raw,
+          name: raw,
+          attending: status !== false,
+          canDrive: driveCol >= 0 && parseDrive(cells[driveCol])
+        };
+      });
+  }
+
+  const entries = [];
+  let sectionAttending = true;
+  lines.forEach(line => {
+    let body = line.replace(/^([・\-*•●]|\d+[.)）])\s*/, '');
+
+    // 見出し (「【参加】」「不参加 (3)」「参加: 斗愛、湊多」など)
+    const [head, ...rest] = body.split(/[:：]/);
+    const headWord = head.replace(/[【】[\]「」<>＜＞]/g, '').replace(/[(（]\d+[)）]|\d+(人|名)$/g, '').trim();
+    const headStatus = parseStatus(headWord);
+    if (headStatus !== null) {
+      sectionAttending = headStatus;
+      body = rest.join(':');
+      if (!body.trim()) return;
+    }
+
+    body.split(/[、,，/／]+/).map(token => token.trim()).filter(Boolean).forEach(token => {
+      const canDrive = DRIVE_MARKERS.test(token);
+      DRIVE_MARKERS.lastIndex = 0;
+      let name = token.replace(DRIVE_MARKERS, '').trim();
+      let attending = sectionAttending;
+      // 「斗愛 ○」「湊多 ×」のように末尾に出欠が付いている場合
+      const parts = name.split(/\s+/);
+      if (parts.length > 1) {
+        const tailStatus = parseStatus(parts[parts.length - 1]);
+        if (tailStatus !== null) {
+          attending = tailStatus;
+          name = parts.slice(0, -1).join(' ');
+        }
+      }
+      if (name) entries.push({ raw: token, name, attending, canDrive });
+    });
+  });
+  return entries;
+}
+
+// 編集距離 (短い名前どうしの比較なので単純なDPで十分)
+function levenshtein(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+/**
+ * 参加者の照合用キー (名前・別名・「名字+名前」) を作ります。
+ * @param {Object} member - 参加者 (aliases: 別名・よみの配列)
+ * @param {string} familyName - 家族名 (末尾の「家」は除く)
+ * @returns {Array<string>} 正規化したキー
+ */
+function getMemberKeys(member, familyName) {
+  const surname = (familyName || '').replace(/家$/, '');
+  const names = [member.name, ...(member.aliases || [])];
+  const keys = names.flatMap(name => [name, surname ? surname + name : null]).filter(Boolean).map(normalizeName);
+  return [...new Set(keys.filter(Boolean))];
+}
+
+/**
+ * 読み取った名前を参加者と照合します。
+ * 完全一致 -> 部分一致 (名字付き・名前のみ) -> 1文字違い (3文字以上) の順に探し、候補が1人なら確定、複数なら要確認とします。
+ * @param {Array} entries - parseRsvp の結果
+ * @param {Array} families - 家族データ
+ * @returns {Array} { entry, status: 'matched'|'ambiguous'|'unknown', candidates: [{ ...member, familyName }] }
+ */
+export function matchRsvpEntries(entries, families) {
+  const members = families.flatMap(family => family.members.map(member => ({
+    member: { ...member, familyName: family.familyName },
+    keys: getMemberKeys(member, family.familyName)
+  })));
+
+  return entries.map(entry => {
+    const key = normalizeName(entry.name);
+    const tiers = [
+      (k) => k === key,
+      (k) => key.length >= 2 && k.length >= 2 && (k.includes(key) || key.includes(k)),
+      (k) => key.length >= 3 && Math.abs(k.length - key.length) <= 1 && levenshtein(k, key) <= 1
+    ];
+    let candidates = [];
+    for (const test of tiers) {
+      candidates = members.filter(m => m.keys.some(test)).map(m => m.member);
+      if (candidates.length > 0) break;
+    }
+    const status = candidates.length === 1 ? 'matched' : candidates.length > 1 ? 'ambiguous' : 'unknown';
+    return { entry, status, candidates };
+  });
+}
@@ -0,0 +1,185 @@
+// seats.js: 車の座席 (列ごとの席数・チャイルドシート・荷物を積むときの席数)
+// マスターデータの車は baseCapacity (運転席を含む定員) に加えて、次の項目を任意で持つ。
+//   seatRows: 列ごとの席数 (例: [2, 3, 2])。入力すると定員は合計になる
+//   childSeats / boosterSeats: 取り付けてあるチャイルドシート・ジュニアシートの数
+//   luggageConfigs: 荷物を積むときの座席 [{ name: '3列目を畳む', seats: 5 }] (seats は運転席を含む)
+// 参加者 (家族のメンバー) は seatNeed ('child' | 'booster') で必要な座席を持つ。DB や画面には触れない。
+
+/**
+ * 参加者に必要な座席。ジュニアシートが必要な子はチャイルドシートの席にも座れる
+ */
+export const SEAT_NEEDS = [
+  { value: 'child', label: 'チャイルドシート' },
+  { value: 'booster', label: 'ジュニアシート' }
+];
+
+/**
+ * 荷物を積む設定を持たない車の既定 (運転席と助手席の2名)
+ */
+export const DEFAULT_LUGGAGE_CONFIG = { name: '荷物あり', seats: 2 };
+
+const toCount = (value) => Math.max(0, parseInt(value, 10) || 0);
+
+/**
+ * 車の座席の設定を正規化します。壊れた値は取り除き、列ごとの席数があれば定員をその合計にします。
+ * @param {Object} car - マスターデータの車
+ * @returns {Object} 車 (seatRows / childSeats / boosterSeats / luggageConfigs を持つ)
+ */
+export function normalizeSeatLayout(car) {
+  const seatRows = (Array.isArray(car.seatRows) ? car.seatRows : []).map(toCount).filter(count => count > 0);
+  const baseCapacity = seatRows.length > 0 ? seatRows.reduce((sum, count) => sum + count, 0) : car.baseCapacity;
+  const usedNames = new Set();
+  const luggageConfigs = (Array.isArray(car.luggageConfigs) ? car.luggageConfigs : [])
+    .filter(config => config !== null && typeof config === 'object')
+    .map(config => ({ name: String(config.name ?? '').trim(), seats: Math.min(toCount(config.seats), baseCapacity) }))
+    .filter(config => {
+      if (!config.name || !(config.seats >= 1) || usedNames.has(config.name)) return false;
+      usedNames.add(config.name);
+      return true;
+    });
+  return {
+    ...car,
+    baseCapacity,
+    seatRows,
+    childSeats: toCount(car.childSeats),
+    boosterSeats: toCount(car.boosterSeats),
+    luggageConfigs
+  };
+}
+
+/**
+ * 車で選べる「荷物あり」の設定。マスターで設定していなければ既定 (2名) のみ。
+ * @param {Object} car - マスターデータの車
+ * @returns {Array<{ name: string, seats: number }>}
+ */
+export function getLuggageConfigs(car) {
+  const configs = normalizeSeatLayout(car).luggageConfigs;
+  return configs.length > 0 ? configs : [{ ...DEFAULT_LUGGAGE_CONFIG, seats: Math.min(DEFAULT_LUGGAGE_CONFIG.seats, car.baseCapacity) }];
+}
+
+/**
+ * 選んだ設定での座席を求めます。荷物を積むと席が減るため、チャイルドシート・ジュニアシートも残った席の数までにします。
+ * @param {Object} car - マスターデータの車
+ * @param {string|null} luggageName - 「荷物あり」の設定名 (荷物なしは null。見つからない名前は最初の設定)
+ * @returns {{ baseCapacity: number, capacity: number, childSeats: number, boosterSeats: number, hasLuggage: boolean, luggageName: string }}
+ *   baseCapacity: 運転席を含む定員 / capacity: 同乗できる人数
+ */
+export function getSeatPlan(car, luggageName = null) {
+  const layout = normalizeSeatLayout(car);
+  let baseCapacity = layout.baseCapacity;
+  let name = '';
+  if (luggageName !== null && luggageName !== undefined) {
+    const configs = getLuggageConfigs(layout);
+    const config = configs.find(c => c.name === luggageName) || configs[0];
+    baseCapacity = config.seats;
+    name = config.name;
+  }
+  const capacity = Math.max(0, baseCapacity - 1);
+  const childSeats = Math.min(layout.childSeats, capacity);
+  const boosterSeats = Math.min(layout.boosterSeats, capacity - childSeats);
+  return { baseCapacity, capacity, childSeats, boosterSeats, hasLuggage: !!name, luggageName: name };
+}
+
+/**
+ * 同乗者に対して足りない子ども用の座席の数 (0 ならすべての子が合う座席に座れる)。
+ * @param {Array} people - 同乗者 (null は空席)
+ * @param {{ childSeats?: number, boosterSeats?: number }} seats - 車の座席 (getSeatPlan の戻り値・割り当て結果の車)
+ * @returns {number}
+ */
+export function countSeatShortage(people, seats) {
+  const needs = people.filter(Boolean).map(p => p.seatNeed);
+  const child = needs.filter(need => need === 'child').length;
+  const booster = needs.filter(need => need === 'booster').length;
+  const childSeats = seats.childSeats || 0;
+  const childShortage = Math.max(0, child - childSeats);
+  const boosterShortage = Math.max(0, booster - (seats.boosterSeats || 0) - Math.max(0, childSeats - child));
+  return childShortage + boosterShortage;
+}
+
+/**
+ * 子ども用の座席が足りない車の一覧 (警告用の文)。
+ * @param {Array} assignments - 割り当て結果
+ * @returns {Array<string>}
+ */
+export function findSeatIssues(assignments) {
+  return assignments
+    .filter(car => car.id !== 'excluded-car' && countSeatShortage(car.members, car) > 0)
+    .map(car => {
+      const names = car.members.filter(p => p && p.seatNeed).map(p => `${p.name} (${seatNeedLabel(p.seatNeed)})`);
+      return `${car.name}: 子ども用の座席が${countSeatShortage(car.members, car)}席足りません (${names.join('、')} / 車の座席: ${describeChildSeats(car) || 'なし'})。`;
+    });
+}
+
+/**
+ * 必要な座席の表示名。
+ * @param {string} need - seatNeed
+ * @returns {string} 不要なら空文字
+ */
+export function seatNeedLabel(need) {
+  return SEAT_NEEDS.find(item => item.value === need)?.label || '';
+}
+
+/**
+ * チャイルドシート・ジュニアシートの数の表示 (例: 「CS1・JS1」)。
+ * @param {{ childSeats?: number, boosterSeats?: number }} seats
+ * @returns {string} どちらも無ければ空文字
+ */
+export function describeChildSeats(seats) {
+  return [
+    seats.childSeats > 0 ? `CS${seats.childSeats}` : '',
+    seats.boosterSeats > 0 ? `JS${seats.boosterSeats}` : ''
+  ].filter(Boolean).join('・');
+}
+
+/**
+ * 車の座席の説明 (例: 「2-3-2列・CS1・荷物あり5名」)。
+ * @param {Object} car - マスターデータの車
+ * @returns {string}
+ */
+export function describeSeatLayout(car) {
+  const layout = normalizeSeatLayout(car);
+  return [
+    layout.seatRows.length > 0 ? `${formatSeatRows(layout.seatRows)}列` : '',
+    describeChildSeats(layout),
+    ...layout.luggageConfigs.map(config => `${config.name}${config.seats}名`)
+  ].filter(Boolean).join('・');
+}
+
+/**
+ * 列ごとの席数の入力 (「2-3-2」「2,3,2」など) を配列にします。
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export function parseSeatRows(text) {
+  return String(text).normalize('NFKC').split(/[-,、\s]+/).map(toCount).filter(count => count > 0);
+}
+
+/**
+ * 列ごとの席数を入力欄の形 (「2-3-2」) にします。
+ * @param {Array<number>} rows
+ * @returns {string}
+ */
+export function formatSeatRows(rows) {
+  return (rows || []).join('-');
+}
+
+/**
+ * 荷物を積むときの設定の入力 (「荷物あり:5, 3列目を畳む:5」) を配列にします。
+ * @param {string} text
+ * @returns {Array<{ name: string, seats: number }>}
+ */
+export function parseLuggageConfigs(text) {
+  return String(text).split(/[,、\n]/).map(item => item.trim()).filter(Boolean).map(item => {
+    const match = /^(.*?)[:：]\s*(\S+?)\s*名?$/.exec(item);
+    return match ? { name: match[1].trim(), seats: toCount(match[2].normalize('NFKC')) } : { name: item, seats: 0 };
+  });
+}
+
+/**
+ * 荷物を積むときの設定を入力欄の形 (「荷物あり:5, 3列目を畳む:5」) にします。
+ * @param {Array<{ name: string, seats: number }>} configs
+ * @returns {string}
+ */
+export function formatLuggageConfigs(configs) {
+  return (configs || []).map(config => `${config.name}:${config.seats}`).join(', ');
+}
@@ -0,0 +1,201 @@
+// share.js: 配車結果の共有リンク (サーバーを使わない閲覧専用のスナップショット)
+// 割り当て結果を受け取る人の端末のマスターデータに頼らない形 (名前だけ) に変換し、圧縮して URL のフラグメント (#plan=...) に入れる。
+// フラグメントはサーバーに送られない。リンクを開く share.html は受け取った人の IndexedDB に触れない。DB や画面には触れない。
+// 圧縮と base64url (encodeJsonForUrl / decodeJsonFromUrl) は端末間の同期 (sync.js) の QR コードでも使う。
+
+import { groupCarsByLot } from './templates.js';
+import { findVenueByName } from './venues.js';
+
+/**
+ * 共有データの形式バージョン
+ * 1: 行程ごとの会場・駐車場と、駐車場ごとの車 (名前のみ)
+ */
+export const SHARE_FORMAT_VERSION = 1;
+
+const HASH_KEY = 'plan';
+// 符号化の種類 (先頭1文字): z = deflate で圧縮 / j = 圧縮なし (CompressionStream の無いブラウザ)
+const ENCODING_DEFLATE = 'z';
+const ENCODING_PLAIN = 'j';
+
+/**
+ * 状態 (index.html の getCurrentState()) から共有用のスナップショットを作ります。割り当て結果の無い行程は含めません。
+ * 参加者の ID・家族・車の ID などは含めず、名前と表示に必要な値だけにします。
+ * @param {Object} state - 状態
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMemos=false] - 参加者の備考を含めるか (個人的な内容が多いため既定では含めない)
+ * @param {Array} [options.venues=[]] - 会場の一覧 (住所・開門時刻・集合場所を補う)
+ * @returns {{ v: number, createdAt: number, legs: Array }}
+ */
+export function createShareSnapshot(state, { includeMemos = false, venues = [] } = {}) {
+  const participantData = new Map(state.participantData || []);
+  const person = (p) => {
+    const memo = includeMemos ? (participantData.get(p.id)?.memo || '').trim() : '';
+    return { name: p.name, player: p.type === '選手', ...(memo ? { memo } : {}) };
+  };
+
+  const legs = (state.legs || []).filter(leg => leg.currentAssignments.length > 0).map(leg => {
+    const info = leg.parkingInfo;
+    const lots = info.lots.map((lot, index) => ({ ...lot, name: lot.name || `駐車場${index + 1}` }));
+    const venue = findVenueByName(venues, info.groundName);
+    const excludedCar = leg.currentAssignments.find(car => car.id === 'excluded-car');
+    return {
+      name: leg.name,
+      groundName: info.groundName || '',
+      address: venue ? venue.address : '',
+      gateTime: venue ? venue.gateTime : '',
+      meetingPoint: venue ? venue.meetingPoint : '',
+      distanceKm: info.distanceKm || 0,
+      lots: groupCarsByLot(leg.currentAssignments, lots)
+        .filter((section, index) => index === 0 || section.cars.length > 0) // 最初の駐車場は車が無くても出す
+        .map(({ lot, cars }) => ({
+          name: lot.name,
+          limit: lot.limit || 0,
+          memo: lot.memo || '',
+          unassigned: lot.id === 'unassigned',
+          cars: cars.map(car => ({
+            name: car.name,
+            hasLuggage: !!car.hasLuggage,
+            driver: car.driver ? person(car.driver) : null,
+            members: car.members.filter(p => p !== null).map(person)
+          }))
+        })),
+      excluded: excludedCar ? excludedCar.members.filter(p => p !== null).map(person) : []
+    };
+  });
+  return { v: SHARE_FORMAT_VERSION, createdAt: Date.now(), legs };
+}
+
+/**
+ * スナップショットを URL のフラグメントに入れられる文字列 (base64url) にします。
+ * @param {Object} snapshot - createShareSnapshot の戻り値
+ * @returns {Promise<string>}
+ */
+export function encodeShareSnapshot(snapshot) {
+  return encodeJsonForUrl(snapshot);
+}
+
+/**
+ * encodeShareSnapshot の文字列をスナップショットに戻し、形式を検証します。
+ * @param {string} text - 符号化した文字列
+ * @returns {Promise<Object>} スナップショット
+ * @throws {Error} 壊れている・新しい形式・このブラウザで展開できないとき
+ */
+export async function decodeShareSnapshot(text) {
+  return normalizeShareSnapshot(await decodeJsonFromUrl(text));
+}
+
+/**
+ * 値を JSON にして圧縮し、URL に入れられる文字列 (base64url) にします。
+ * @param {*} value - JSON にできる値
+ * @returns {Promise<string>} 先頭1文字が符号化の種類
+ */
+export async function encodeJsonForUrl(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  if (typeof CompressionStream === 'undefined') return ENCODING_PLAIN + toBase64Url(bytes);
+  const compressed = await transform(bytes, new CompressionStream('deflate'));
+  return ENCODING_DEFLATE + toBase64Url(compressed);
+}
+
+/**
+ * encodeJsonForUrl の文字列を値に戻します。(内容の検証はしない)
+ * @param {string} text - 符号化した文字列
+ * @returns {Promise<*>}
+ * @throws {Error} 壊れている・このブラウザで展開できないとき
+ */
+export async function decodeJsonFromUrl(text) {
+  const encoding = text.charAt(0);
+  let bytes;
+  try {
+    bytes = fromBase64Url(text.slice(1));
+  } catch (err) {
+    throw new Error('リンクが壊れています。リンク全体をコピーできているか確認してください。');
+  }
+  if (encoding === ENCODING_DEFLATE) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('このブラウザは共有リンクの展開に対応していません。ブラウザを更新してください。');
+    try {
+      bytes = await transform(bytes, new DecompressionStream('deflate'));
+    } catch (err) {
+      throw new Error('リンクが壊れています。リンク全体をコピーできているか確認してください。');
+    }
+  } else if (encoding !== ENCODING_PLAIN) {
+    throw new Error('共有リンクの形式が正しくありません。');
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error('リンクが壊れています。リンク全体をコピーできているか確認してください。');
+  }
+}
+
+/**
+ * 共有リンクの URL を作ります。
+ * @param {string} pageUrl - 閲覧ページ (share.html) の URL
+ * @param {string} encoded - encodeShareSnapshot の戻り値
+ * @returns {string}
+ */
+export function buildShareUrl(pageUrl, encoded) {
+  return `${pageUrl.split('#')[0]}#${HASH_KEY}=${encoded}`;
+}
+
+/**
+ * URL のフラグメントから共有データの文字列を取り出します。
+ * @param {string} hash - location.hash
+ * @returns {string|null} 共有データが無ければ null
+ */
+export function readShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(HASH_KEY) || null;
+}
+
+// 受け取ったデータは作った側を信用せず、表示に使う値の型をそろえる
+function normalizeShareSnapshot(data) {
+  if (data === null || typeof data !== 'object' || !Array.isArray(data.legs)) throw new Error('共有リンクの形式が正しくありません。');
+  if (!Number.isInteger(data.v) || data.v > SHARE_FORMAT_VERSION) {
+    throw new Error('このリンクは新しいバージョンのアプリで作られています。アプリを更新してから開いてください。');
+  }
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const list = (value) => (Array.isArray(value) ? value.filter(item => item !== null && typeof item === 'object') : []);
+  const person = (p) => ({ name: text(p.name), player: !!p.player, memo: text(p.memo) });
+  return {
+    v: data.v,
+    createdAt: Number(data.createdAt) || 0,
+    legs: list(data.legs).map(leg => ({
+      name: text(leg.name),
+      groundName: text(leg.groundName),
+      address: text(leg.address),
+      gateTime: text(leg.gateTime),
+      meetingPoint: text(leg.meetingPoint),
+      distanceKm: Math.max(0, Number(leg.distanceKm) || 0),
+      lots: list(leg.lots).map(lot => ({
+        name: text(lot.name),
+        limit: Math.max(0, Number(lot.limit) || 0),
+        memo: text(lot.memo),
+        unassigned: !!lot.unassigned,
+        cars: list(lot.cars).map(car => ({
+          name: text(car.name),
+          hasLuggage: !!car.hasLuggage,
+          driver: car.driver && typeof car.driver === 'object' ? person(car.driver) : null,
+          members: list(car.members).map(person)
+        }))
+      })),
+      excluded: list(leg.excluded).map(person)
+    }))
+  };
+}
+
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
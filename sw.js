@@ -1,39 +1,76 @@
-// キャッシュの名前 (★ v2 に更新)
-const CACHE_NAME = 'car-dispatch-app-cache-v2';
+// ビルドの版 (build.mjs が日付とキャッシュするファイルの内容から書き換える。手で変えない)
+const BUILD_VERSION = '20261019-763889a0';
+
+// キャッシュの名前 (★ 修正: 手で v番号を上げる代わりに、ビルドの版を使う)
+const CACHE_NAME = `car-dispatch-app-cache-${BUILD_VERSION}`;
 
 // オフライン用にキャッシュするファイルのリスト
-// ★ 新しいファイル (master.html, db.js) を追加
+// ★ 修正: スタイル (styles.css) とアイコンも自前で用意し、外部のサーバー (CDN) を使わない
 const urlsToCache = [
   '.', // index.html (start_urlと合わせる)
   './index.html', // 明示的にindex.htmlも指定
   './master.html', // マスター管理ページ
   './db.js', // IndexedDBヘルパー
-  './manual.html' // マニュアルページ
+  './manual.html', // マニュアルページ
+  './events.html', // 試合の記録ページ
+  './fairness.html', // 運転の公平性レポート
+  './fairness.js', // 運転実績の集計
+  './csv.js', // CSV/TSV の読み込み
+  './rsvp.js', // 出欠の取り込み・名前の照合
+  './roster.js', // 名簿・車のCSV入出力
+  './format.js', // 保存データの検証・移行
+  './rollover.js', // 進級・卒業
+  './parking.js', // 駐車場 (複数)
+  './venues.html', // 会場の一覧
+  './venues.js', // 会場のモデル
+  './templates.js', // テキスト出力のテンプレート
+  './print.html', // 印刷用カード
+  './share.html', './share.js', './qrcode.js', // 共有リンク
+  './sync.html', './sync.js', // 端末間の同期
+  './seats.js', // 車の座席
+  './drivers.js', // 車を運転できる人
+  './pickups.js', // 乗車場所
+  './attributes.js', // 参加者の項目
+  './allocation.js', // 自動割り当て
+  './backup.js', // 保存ファイルの暗号化・個人情報を除く
+  './styles.css', // スタイル (build.mjs で作る)
+  './pwa.js', // Service Workerの登録・更新の案内
+  './manifest.json', './icons/icon.svg', './icons/icon-192.png', './icons/icon-512.png' // アイコン
 ];
 
 // 1. インストールイベント
+// ★ 修正: すぐには入れ替わらず、画面の「再読み込み」(SKIP_WAITING) を待つ
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
         console.log('Opened cache:', CACHE_NAME);
-        // 指定されたリソースをキャッシュに追加
-        return cache.addAll(urlsToCache);
+        // ブラウザの HTTP キャッシュを通さず、サーバーの最新のファイルを取り込む
+        return cache.addAll(urlsToCache.map(url => new Request(url, { cache: 'reload' })));
       })
   );
 });
 
+// ★ 新規: 画面 (pwa.js) から「再読み込み」を押されたら、待機中の新しい版に入れ替える
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
 // 2. フェッチイベント
 self.addEventListener('fetch', event => {
-  // Tailwind CDNやPlacehold.coへのリクエストは、常にネットワークから取得します（キャッシュしない）
-  if (event.request.url.includes('cdn.tailwindcss.com') || event.request.url.includes('placehold.co')) {
-    event.respondWith(fetch(event.request));
+  // 同じサイトの GET だけをキャッシュから返す (外部への通信はブラウザに任せる)
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
     return;
   }
 
-  // それ以外のリクエストは「キャッシュファースト」戦略
+  // 「キャッシュファースト」戦略
+  // ページの移動は ?event= などの付いた URL (試合の記録から開く場合) でも同じページのキャッシュを使う
+  const isNavigation = event.request.mode === 'navigate';
   event.respondWith(
-    caches.match(event.request)
+    caches.match(event.request, { ignoreSearch: isNavigation })
       .then(response => {
         // キャッシュに一致するものがあれば、それを返す
         if (response) {
@@ -41,9 +78,12 @@ self.addEventListener('fetch', event => {
         }
         // キャッシュになければ、ネットワークからフェッチして返す
         return fetch(event.request).catch(err => {
-            // オフラインでキャッシュにもない場合のフォールバック
-            // (今回は特に指定しないが、オフラインページを見せることも可能)
-            console.error('Fetch failed; returning offline page instead.', err);
+          // オフラインでキャッシュにもない場合、ページの移動なら配車調整の画面を見せる
+          console.error('Fetch failed; returning offline page instead.', err);
+          if (isNavigation) {
+            return caches.match('./index.html');
+          }
+          return Response.error();
         });
       })
   );
@@ -51,7 +91,7 @@ self.addEventListener('fetch', event => {
 
 // 3. アクティベートイベント
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME]; // 保持するキャッシュ名 (v2)
+  const cacheWhitelist = [CACHE_NAME]; // 保持するキャッシュ名
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
@@ -64,6 +104,7 @@ self.addEventListener('activate', event => {
         })
       );
     })
+      // 開いている画面も新しい版の管理下に置く (pwa.js が controllerchange で再読み込みする)
+      .then(() => self.clients.claim())
   );
 });
-
@@ -0,0 +1,245 @@
+// sync.js: 端末間の同期 (マスターデータの3者間マージ)
+// 配車係が交代で使う複数の端末の家族・車・会場・同乗ルール・乗車場所・参加者の項目を、サーバーを使わずに同期データ (ファイル・QR コードの連続表示) でやり取りする。
+// 同期データはマスターデータファイル (format.js) に sync (端末・削除の記録) を加えた形で、マスターデータ管理の「読み込む」でも読める。
+// 共通の祖先 (base) は相手から最後に受け取った同期データ。両方の端末で変わった記録は上書きせずに競合として一覧にする。DB や画面には触れない。
+
+import { MASTER_FORMAT_VERSION, prepareMasterImport } from './format.js';
+
+/**
+ * 同期データの形式バージョン (sync の中身)
+ * 1: 端末 (deviceId / deviceName)・作成日時・削除の記録 (tombstones)
+ */
+export const SYNC_FORMAT_VERSION = 1;
+
+/**
+ * 同期するストア。key: 端末が変わっても同じになる記録のキー
+ */
+export const SYNC_STORES = [
+  { name: 'families', label: '家族', keyOf: (family) => family.familyName, labelOf: (family) => family.familyName },
+  { name: 'cars', label: '車', keyOf: (car) => car.id, labelOf: (car) => car.name },
+  { name: 'venues', label: '会場', keyOf: (venue) => venue.name, labelOf: (venue) => venue.name },
+  { name: 'constraints', label: '同乗ルール', keyOf: (constraint) => constraint.id, labelOf: (constraint) => constraint.memo || constraint.id },
+  { name: 'pickupPoints', label: '乗車場所', keyOf: (point) => point.id, labelOf: (point) => point.name },
+  { name: 'attributes', label: '参加者の項目', keyOf: (attribute) => attribute.key, labelOf: (attribute) => attribute.label }
+];
+
+const CHUNK_HASH_KEY = 'sync';
+
+/**
+ * 端末のマスターデータから同期データを作ります。削除の記録は、今ある記録 (削除後に作り直したもの) を除いて含めます。
+ * @param {Object} params
+ * @param {string} params.deviceId - この端末のID
+ * @param {string} params.deviceName - この端末の名前 (相手の画面に表示する)
+ * @param {{ families: Array, cars: Array, venues: Array, constraints: Array, pickupPoints: Array, attributes: Array }} params.masterData - マスターデータ
+ * @param {Array} [params.tombstones=[]] - 削除の記録 { store, key, deletedAt }
+ * @returns {Object} 同期データ
+ */
+export function createSyncBundle({ deviceId, deviceName, masterData, tombstones = [] }) {
+  const records = {};
+  SYNC_STORES.forEach(({ name }) => {
+    records[name] = (masterData[name] || []).map(record => (name === 'venues' ? withoutId(record) : record));
+  });
+  const liveKeys = new Set(SYNC_STORES.flatMap(({ name, keyOf }) => records[name].map(record => `${name}:${keyOf(record)}`)));
+  return {
+    formatVersion: MASTER_FORMAT_VERSION,
+    ...records,
+    sync: {
+      version: SYNC_FORMAT_VERSION,
+      deviceId,
+      deviceName,
+      createdAt: Date.now(),
+      tombstones: tombstones
+        .filter(tombstone => !liveKeys.has(`${tombstone.store}:${tombstone.key}`))
+        .map(({ store, key, deletedAt }) => ({ store, key, deletedAt }))
+    }
+  };
+}
+
+/**
+ * 受け取った同期データを検証し、現在の形式に移行します。記録の検証はマスターデータファイルと同じ (format.js)。
+ * @param {*} data - JSON.parse した内容
+ * @returns {{ bundle: Object|null, errors: Array<string>, repairs: Array<string> }} errors が空でなければ bundle は null
+ */
+export function prepareSyncImport(data) {
+  const sync = data !== null && typeof data === 'object' ? data.sync : undefined;
+  if (sync === null || typeof sync !== 'object' || typeof sync.deviceId !== 'string' || !sync.deviceId) {
+    return { bundle: null, errors: ['同期データではありません。マスターデータのファイルは「マスターデータ管理」で読み込んでください。'], repairs: [] };
+  }
+  if (!Number.isInteger(sync.version) || sync.version > SYNC_FORMAT_VERSION) {
+    return { bundle: null, errors: ['この同期データは新しいバージョンのアプリで作られています。アプリを更新してから読み込んでください。'], repairs: [] };
+  }
+  const { masterData, errors, repairs } = prepareMasterImport(data);
+  if (errors.length > 0) return { bundle: null, errors, repairs };
+
+  const storeNames = SYNC_STORES.map(({ name }) => name);
+  const tombstones = (Array.isArray(sync.tombstones) ? sync.tombstones : []).filter(tombstone =>
+    tombstone !== null && typeof tombstone === 'object' && storeNames.includes(tombstone.store) && typeof tombstone.key === 'string');
+  return {
+    bundle: {
+      ...masterData,
+      venues: masterData.venues.map(withoutId),
+      sync: {
+        version: sync.version,
+        deviceId: sync.deviceId,
+        deviceName: typeof sync.deviceName === 'string' ? sync.deviceName : '',
+        createdAt: Number(sync.createdAt) || 0,
+        tombstones: tombstones.map(({ store, key, deletedAt }) => ({ store, key, deletedAt: Number(deletedAt) || 0 }))
+      }
+    },
+    errors,
+    repairs
+  };
+}
+
+/**
+ * 3者間マージ: 相手の同期データ (remote) をこの端末 (local) に取り込む変更と、競合の一覧を作ります。
+ * 記録ごとに共通の祖先 (base) と比べ、片方だけが変えた記録はその変更を採用し、両方が違う内容に変えた記録は競合にします。
+ * base が無い (初めて同期する相手) ときは、片方にしか無い記録はそのまま残し、両方にあって内容が違う記録を競合にします。
+ * 内容の比較では更新日時は無視します。
+ * @param {Object} local - この端末の同期データ (createSyncBundle)
+ * @param {Object} remote - 相手の同期データ (prepareSyncImport の bundle)
+ * @param {Object|null} base - 共通の祖先 (前回受け取った相手の同期データ。無ければ null)
+ * @returns {{ changes: Array, conflicts: Array, keptLocal: number }}
+ *   changes: この端末に反映する変更 { store, key, label, action: 'put'|'delete', isNew, record, deletedAt }
+ *   conflicts: 競合 { store, key, label, local, remote, localTime, remoteTime, suggested: 'local'|'remote' } (local / remote は削除なら null)
+ *   keptLocal: この端末だけが変えたため相手の内容を採用しなかった記録の数
+ */
+export function mergeSyncBundles(local, remote, base) {
+  const changes = [];
+  const conflicts = [];
+  let keptLocal = 0;
+
+  SYNC_STORES.forEach(store => {
+    const localEntries = indexBundle(local, store);
+    const remoteEntries = indexBundle(remote, store);
+    const baseEntries = base ? indexBundle(base, store) : null;
+    const keys = new Set([...localEntries.keys(), ...remoteEntries.keys(), ...(baseEntries ? baseEntries.keys() : [])]);
+
+    keys.forEach(key => {
+      const l = localEntries.get(key) || EMPTY_ENTRY;
+      const r = remoteEntries.get(key) || EMPTY_ENTRY;
+      if (sameRecord(l.record, r.record)) return;
+      const sample = r.record || l.record || baseEntries?.get(key)?.record;
+      const label = (sample && store.labelOf(sample)) || key;
+
+      let winner;
+      if (baseEntries) {
+        const b = baseEntries.get(key) || EMPTY_ENTRY;
+        if (sameRecord(l.record, b.record)) winner = 'remote';
+        else if (sameRecord(r.record, b.record)) winner = 'local';
+      } else if (!l.record && !l.deletedAt) {
+        winner = 'remote'; // この端末では作ったことがない
+      } else if (!r.record && !r.deletedAt) {
+        winner = 'local'; // 相手は作ったことがない
+      }
+
+      if (winner === 'local') {
+        keptLocal++;
+      } else if (winner === 'remote') {
+        changes.push(toChange(store, key, label, l, r));
+      } else {
+        conflicts.push({
+          store: store.name,
+          key,
+          label,
+          local: l.record,
+          remote: r.record,
+          localTime: l.time,
+          remoteTime: r.time,
+          suggested: r.time > l.time ? 'remote' : 'local' // 新しく変更した方を既定にする
+        });
+      }
+    });
+  });
+  return { changes, conflicts, keptLocal };
+}
+
+/**
+ * 競合の選択をマージ結果に反映し、この端末に反映する変更の一覧を返します。
+ * @param {Object} merge - mergeSyncBundles の戻り値
+ * @param {Object<string, 'local'|'remote'>} choices - 競合ごとの選択 (キーは 'ストア名:キー'。無ければ suggested)
+ * @returns {Array} 変更 (mergeSyncBundles の changes と同じ形)
+ */
+export function resolveSyncConflicts(merge, choices = {}) {
+  const resolved = merge.conflicts
+    .filter(conflict => (choices[`${conflict.store}:${conflict.key}`] || conflict.suggested) === 'remote')
+    .map(conflict => {
+      const store = SYNC_STORES.find(({ name }) => name === conflict.store);
+      return toChange(store, conflict.key, conflict.label,
+        { record: conflict.local, time: conflict.localTime },
+        { record: conflict.remote, deletedAt: conflict.remote ? 0 : conflict.remoteTime, time: conflict.remoteTime });
+    });
+  return [...merge.changes, ...resolved];
+}
+
+/**
+ * 同期データ (encodeJsonForUrl で符号化した文字列) を、QR コードで順に表示する URL に分けます。
+ * 読み取った端末で URL を開くと sync.html が断片を集め、すべてそろったら読み込みます。
+ * @param {string} pageUrl - 同期ページ (sync.html) の URL
+ * @param {string} encoded - 符号化した同期データ
+ * @param {number} [chunkSize=1000] - 1つの QR コードに入れる文字数
+ * @returns {Array<string>} URL の配列
+ */
+export function createSyncChunkUrls(pageUrl, encoded, chunkSize = 1000) {
+  const id = Date.now().toString(36);
+  const total = Math.max(1, Math.ceil(encoded.length / chunkSize));
+  const base = pageUrl.split('#')[0];
+  return Array.from({ length: total }, (_, i) => `${base}#${CHUNK_HASH_KEY}=${id}.${i + 1}.${total}.${encoded.slice(i * chunkSize, (i + 1) * chunkSize)}`);
+}
+
+/**
+ * URL のフラグメントから同期データの断片を取り出します。
+ * @param {string} hash - location.hash
+ * @returns {{ id: string, index: number, total: number, data: string }|null} 断片でなければ null
+ */
+export function readSyncChunkHash(hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, '')).get(CHUNK_HASH_KEY);
+  const match = /^([0-9a-z]+)\.(\d+)\.(\d+)\.(.+)$/.exec(value || '');
+  if (!match) return null;
+  const index = parseInt(match[2], 10);
+  const total = parseInt(match[3], 10);
+  if (index < 1 || index > total) return null;
+  return { id: match[1], index, total, data: match[4] };
+}
+
+const EMPTY_ENTRY = { record: null, deletedAt: 0, time: 0 };
+
+// 'キー' -> { record (削除なら null), deletedAt, time (更新・削除の日時) }
+function indexBundle(bundle, store) {
+  const entries = new Map();
+  ((bundle.sync && bundle.sync.tombstones) || []).filter(tombstone => tombstone.store === store.name).forEach(tombstone => {
+    entries.set(tombstone.key, { record: null, deletedAt: tombstone.deletedAt, time: tombstone.deletedAt });
+  });
+  (bundle[store.name] || []).forEach(record => {
+    entries.set(String(store.keyOf(record)), { record, deletedAt: 0, time: Number(record.updatedAt) || 0 });
+  });
+  return entries;
+}
+
+function toChange(store, key, label, localEntry, remoteEntry) {
+  if (!remoteEntry.record) {
+    return { store: store.name, key, label, action: 'delete', isNew: false, record: null, deletedAt: remoteEntry.deletedAt || remoteEntry.time || Date.now() };
+  }
+  return { store: store.name, key, label, action: 'put', isNew: !localEntry.record, record: remoteEntry.record, deletedAt: 0 };
+}
+
+// 更新日時を除いて内容を比べる (会場の ID は同期データに含めない)。削除 (null) 同士は同じとみなす
+function sameRecord(a, b) {
+  if (!a || !b) return !a && !b;
+  const { updatedAt: _a, ...restA } = a;
+  const { updatedAt: _b, ...restB } = b;
+  return stableStringify(restA) === stableStringify(restB);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function withoutId(record) {
+  const { id, ...rest } = record;
+  return rest;
+}
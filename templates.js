@@ -0,0 +1,263 @@
+// templates.js: テキスト出力 (LINE・メール用) のテンプレート
+// テンプレートは出力の部品 (見出し・駐車場・車・参加者など) ごとの文字列で、{ground} などのプレースホルダーを値に置き換える。
+// 組み込みのプリセットはここで定義し、利用者が作ったテンプレートは db.js (templates ストア) に保存する。DB や画面には触れない。
+
+import { sortLotsByPriority } from './parking.js';
+
+export const DEFAULT_TEMPLATE_ID = 'preset-line';
+export const DRIVER_TEMPLATE_ID = 'preset-driver'; // ドライバーごとの連絡の既定
+
+/**
+ * テンプレートの項目 (編集欄の表示順)。placeholders はその項目で使えるプレースホルダー。
+ * どの項目でも {leg} (行程名)・{ground} (グラウンド名) が使える。値が空になった行は出力しない。
+ */
+export const TEMPLATE_FIELDS = [
+  { key: 'header', label: '先頭', placeholders: '' },
+  { key: 'legHeader', label: '行程の見出し (行程が2つ以上のとき)', placeholders: '{leg}' },
+  { key: 'legSeparator', label: '行程の区切り', placeholders: '' },
+  { key: 'ground', label: 'グラウンド (グラウンド名があるとき)', placeholders: '{ground} {distance}' },
+  { key: 'lotHeader', label: '駐車場の見出し', placeholders: '{lot} {limit} {count}' },
+  { key: 'lotMemo', label: '駐車場の備考 (1行ごと)', placeholders: '{memo}' },
+  { key: 'lotSeparator', label: '駐車場の区切り', placeholders: '' },
+  { key: 'car', label: '車', placeholders: '{car} {driver} {members} {luggage} {riders} {count} {lot} {lotMemo} {stops}' },
+  { key: 'driver', label: 'ドライバー', placeholders: '{name} {memo}' },
+  { key: 'noDriver', label: 'ドライバー未定', placeholders: '' },
+  { key: 'player', label: '選手', placeholders: '{name} {memo}' },
+  { key: 'member', label: '選手以外', placeholders: '{name} {memo}' },
+  { key: 'memo', label: '備考 (備考があるとき)', placeholders: '{memo}' },
+  { key: 'luggage', label: '荷物 (荷物車のとき)', placeholders: '' },
+  { key: 'stops', label: '乗車場所 (回る順。乗車場所があるとき)', placeholders: '{stops}' },
+  { key: 'riderSeparator', label: '乗車する人の区切り', placeholders: '' },
+  { key: 'excludedHeader', label: '別便の見出し', placeholders: '' },
+  { key: 'excludedMember', label: '別便の人', placeholders: '{person}' },
+  { key: 'footer', label: '末尾', placeholders: '' }
+];
+
+/**
+ * 組み込みのプリセット (変更・削除はできない。複製して使う)
+ * shortenCarName: 車名の「の車」「家の車」を「カー」にする
+ */
+export const PRESET_TEMPLATES = [
+  {
+    id: 'preset-line',
+    name: 'LINE (コンパクト)',
+    builtIn: true,
+    shortenCarName: true,
+    header: '# 出力結果\n',
+    legHeader: '■ {leg}\n',
+    legSeparator: '\n=======\n',
+    ground: 'グラウンド: {ground}\n',
+    lotHeader: '□ {lot}{limit}',
+    lotMemo: '　{memo}',
+    lotSeparator: '\n-------',
+    car: '・{car} ({riders}){stops}',
+    driver: '{name}{memo}',
+    noDriver: 'ドライバー未定',
+    player: '★{name}{memo}',
+    member: '{name}{memo}',
+    memo: ' [{memo}]',
+    luggage: '荷物',
+    stops: '\n　乗車: {stops}',
+    riderSeparator: ', ',
+    excludedHeader: '\n□別便',
+    excludedMember: '{person}',
+    footer: ''
+  },
+  {
+    id: 'preset-email',
+    name: 'メール (詳細)',
+    builtIn: true,
+    shortenCarName: false,
+    header: 'お疲れさまです。配車のご連絡です。\n',
+    legHeader: '【{leg}】',
+    legSeparator: '\n──────────',
+    ground: '会場: {ground}{distance}',
+    lotHeader: '\n■ 駐車場: {lot}{limit}',
+    lotMemo: '  ※{memo}',
+    lotSeparator: '',
+    car: '\n{car}{luggage}\n  運転: {driver}\n  同乗: {members}{stops}',
+    driver: '{name}さん{memo}',
+    noDriver: '未定',
+    player: '{name}{memo}',
+    member: '{name}{memo}',
+    memo: '（{memo}）',
+    luggage: '（荷物車）',
+    stops: '\n  乗車場所: {stops}',
+    riderSeparator: '、',
+    excludedHeader: '\n■ 別便（各自で移動）',
+    excludedMember: '  {person}',
+    footer: '\nよろしくお願いします。'
+  },
+  {
+    id: 'preset-driver',
+    name: 'ドライバーへの連絡',
+    builtIn: true,
+    shortenCarName: false,
+    header: '',
+    legHeader: '===== {leg} =====',
+    legSeparator: '',
+    ground: '',
+    lotHeader: '',
+    lotMemo: '',
+    lotSeparator: '',
+    car: '\n{driver}\n{leg}は{car}の運転をお願いします。\n行き先: {ground}\n駐車場: {lot}{lotMemo}\n同乗: {members}{stops}{luggage}',
+    driver: '{name}さん',
+    noDriver: '(ドライバー未定)',
+    player: '{name}',
+    member: '{name}',
+    memo: '',
+    luggage: '\n荷物の運搬もお願いします。',
+    stops: '\n乗車場所 (この順に回ってください): {stops}',
+    riderSeparator: '、',
+    excludedHeader: '',
+    excludedMember: '',
+    footer: ''
+  }
+];
+
+/**
+ * テンプレートの欠けた項目を既定のプリセットで補います。(保存データの読み込み用)
+ * @param {Object} template - テンプレート
+ * @returns {Object} テンプレート
+ */
+export function normalizeTemplate(template) {
+  const base = PRESET_TEMPLATES[0];
+  const normalized = { ...template, name: typeof template.name === 'string' ? template.name : '', shortenCarName: !!template.shortenCarName };
+  TEMPLATE_FIELDS.forEach(({ key }) => {
+    normalized[key] = typeof template[key] === 'string' ? template[key] : base[key];
+  });
+  return normalized;
+}
+
+/**
+ * 文字列の {key} を values の値に置き換えます。values に無いプレースホルダーはそのまま残します (入力ミスに気付けるように)。
+ * @param {string} text - テンプレートの文字列
+ * @param {Object} values - プレースホルダーの値
+ * @returns {string}
+ */
+export function fillTemplate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * 割り当て結果の車を駐車場ごとに分けます。駐車場は優先順位の順で、どこにも入っていない車は最後の「駐車場未定」にまとめます。
+ * 別便 (excluded-car) は含めません。
+ * @param {Array} assignments - 割り当て結果
+ * @param {Array} lots - 駐車場の配列 (駐車場名は補完済み)
+ * @returns {Array<{ lot: Object, cars: Array }>} 車の無い駐車場も含む
+ */
+export function groupCarsByLot(assignments, lots) {
+  const sections = sortLotsByPriority(lots).map(lot => ({
+    lot,
+    cars: assignments.filter(car => car.assignedParking === lot.id)
+  }));
+  const unassignedCars = assignments.filter(car => car.id !== 'excluded-car' && !lots.some(lot => lot.id === car.assignedParking));
+  if (unassignedCars.length > 0) sections.push({ lot: { id: 'unassigned', name: '駐車場未定', limit: 0, memo: '' }, cars: unassignedCars });
+  return sections;
+}
+
+// 参加者・車の文字列を作る関数 (テキスト出力とドライバーごとの連絡で共通)
+// stopsOf は車の乗車場所を回る順番の文字列 (無ければ空文字)
+function createFormatter(template, memoOf, stopsOf = () => '') {
+  const formatMemo = (participantId) => {
+    const memo = (memoOf(participantId) || '').trim();
+    return memo ? fillTemplate(template.memo, { memo }) : '';
+  };
+  const formatPerson = (p) => fillTemplate(p.type === '選手' ? template.player : template.member, { name: p.name, memo: formatMemo(p.id) });
+  const formatCar = (car, lotValues, lot, leg) => {
+    const driver = car.driver ? fillTemplate(template.driver, { name: car.driver.name, memo: formatMemo(car.driver.id) }) : template.noDriver;
+    const members = car.members.filter(p => p !== null).map(formatPerson);
+    const luggage = car.hasLuggage ? template.luggage : '';
+    const stops = stopsOf(car, leg) || '';
+    return fillTemplate(template.car, {
+      ...lotValues,
+      lotMemo: lot.memo ? ` (${lot.memo.replace(/\n/g, ' ')})` : '',
+      car: template.shortenCarName ? car.name.replace(/家の車|の車/g, 'カー') : car.name,
+      driver,
+      members: members.join(template.riderSeparator),
+      luggage,
+      riders: [driver, ...members, luggage].filter(Boolean).join(template.riderSeparator),
+      count: (car.driver ? 1 : 0) + members.length,
+      stops: stops ? fillTemplate(template.stops, { stops }) : ''
+    });
+  };
+  return { formatPerson, formatCar };
+}
+
+function lotPlaceholders(context, lot, carCount) {
+  return { ...context, lot: lot.name, limit: lot.limit > 0 ? ` (${lot.limit}台)` : '', count: carCount };
+}
+
+/**
+ * 割り当て結果をテンプレートでテキストにします。
+ * @param {Object} template - テンプレート
+ * @param {Array} legs - 出力する行程 { name, parkingInfo (駐車場名は補完済み), assignments }
+ * @param {Object} options
+ * @param {boolean} options.showLegHeaders - 行程の見出しを付けるか (行程が2つ以上のとき)
+ * @param {(participantId: string) => string} options.memoOf - 参加者の備考
+ * @param {(car: Object, leg: Object) => string} [options.stopsOf] - 車の乗車場所を回る順番
+ * @returns {string}
+ */
+export function renderTextOutput(template, legs, { showLegHeaders, memoOf, stopsOf }) {
+  const lines = [];
+  const push = (text) => { if (text !== '') lines.push(text); };
+  const { formatPerson, formatCar } = createFormatter(template, memoOf, stopsOf);
+
+  push(template.header);
+  legs.forEach((leg, legIndex) => {
+    const info = leg.parkingInfo;
+    const context = { leg: leg.name, ground: info.groundName || '' };
+    if (legIndex > 0) push(fillTemplate(template.legSeparator, context));
+    if (showLegHeaders) push(fillTemplate(template.legHeader, context));
+    if (info.groundName) {
+      push(fillTemplate(template.ground, { ...context, distance: info.distanceKm ? ` (片道 ${info.distanceKm}km)` : '' }));
+    }
+
+    // 最初の駐車場は車が無くても出す
+    groupCarsByLot(leg.assignments, info.lots).forEach((section, index) => {
+      if (index > 0 && section.cars.length === 0) return;
+      const { lot } = section;
+      const lotValues = lotPlaceholders(context, lot, section.cars.length);
+      if (index > 0) push(fillTemplate(template.lotSeparator, lotValues));
+      push(fillTemplate(template.lotHeader, lotValues));
+      if (lot.memo) lot.memo.split('\n').forEach(line => push(fillTemplate(template.lotMemo, { ...lotValues, memo: line })));
+      section.cars.forEach(car => push(formatCar(car, lotValues, lot, leg)));
+    });
+
+    const excludedCar = leg.assignments.find(car => car.id === 'excluded-car');
+    if (excludedCar && excludedCar.members.some(p => p !== null) && template.excludedMember) {
+      push(fillTemplate(template.excludedHeader, context));
+      excludedCar.members.filter(p => p !== null).forEach(p => push(fillTemplate(template.excludedMember, { ...context, person: formatPerson(p) })));
+    }
+  });
+  push(template.footer);
+  return lines.join('\n');
+}
+
+/**
+ * 車ごとの連絡文 (ドライバー宛て) をテンプレートで作ります。文面はテンプレートの「先頭」「車」「末尾」を使います。
+ * @param {Object} template - テンプレート
+ * @param {Array} legs - 出力する行程 { name, parkingInfo (駐車場名は補完済み), assignments }
+ * @param {Object} options
+ * @param {(participantId: string) => string} options.memoOf - 参加者の備考
+ * @param {(car: Object, leg: Object) => string} [options.stopsOf] - 車の乗車場所を回る順番
+ * @returns {Array<{ legName: string, carId: string, carName: string, driverName: string, lotName: string, text: string }>}
+ *   行程・駐車場の順。driverName はドライバー未定なら空文字
+ */
+export function renderCarMessages(template, legs, { memoOf, stopsOf }) {
+  const { formatCar } = createFormatter(template, memoOf, stopsOf);
+  const messages = [];
+  legs.forEach(leg => {
+    const context = { leg: leg.name, ground: leg.parkingInfo.groundName || '' };
+    groupCarsByLot(leg.assignments, leg.parkingInfo.lots).forEach(({ lot, cars }) => {
+      cars.forEach(car => {
+        const text = [template.header, formatCar(car, lotPlaceholders(context, lot, cars.length), lot, leg), template.footer]
+          .filter(part => part !== '')
+          .join('\n')
+          .replace(/^\n+|\n+$/g, '');
+        messages.push({ legName: leg.name, carId: car.id, carName: car.name, driverName: car.driver ? car.driver.name : '', lotName: lot.name, text });
+      });
+    });
+  });
+  return messages;
+}
@@ -0,0 +1,179 @@
+// allocation.js の回帰テスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  EXCLUDED_CAR_ID, createAllocationContext, prepareAllocation, runAllocation, scorePlan,
+  buildRidePairs, findConstraintViolations, evaluateConstraints, planPickups
+} from '../allocation.js';
+import { findSeatIssues } from '../seats.js';
+import { createTeam, createSelection } from './fixtures.mjs';
+
+const membersOf = (assignments, carId) => assignments.find(car => car.id === carId).members.filter(Boolean).map(p => p.id).sort();
+const carOf = (assignments, participantId) => assignments.find(car => [car.driver, ...car.members].some(p => p && p.id === participantId))?.id;
+const allocate = (master, selection, seed = 1, previousAssignments = null) => {
+  const { input, errors } = prepareAllocation(master, selection, previousAssignments);
+  assert.deepEqual(errors, []);
+  return { input, assignments: runAllocation(input, seed, createAllocationContext({ ...master, groundName: selection.parkingInfo.groundName })) };
+};
+
+test('同じ入力と同じシードからは同じ結果になる', () => {
+  const master = createTeam();
+  const first = allocate(master, createSelection(master), 123456).assignments;
+  const second = allocate(master, createSelection(master), 123456).assignments;
+  assert.deepEqual(first.map(car => [car.id, membersOf(first, car.id)]), second.map(car => [car.id, membersOf(second, car.id)]));
+});
+
+test('全員が定員内でちょうど1回ずつ載る', () => {
+  const master = createTeam();
+  for (let seed = 0; seed < 20; seed++) {
+    const { input, assignments } = allocate(master, createSelection(master), seed);
+    const ids = assignments.flatMap(car => car.members.filter(Boolean).map(p => p.id)).sort();
+    assert.deepEqual(ids, input.participantsToAssign.map(p => p.id).sort());
+    assignments.filter(car => car.id !== EXCLUDED_CAR_ID).forEach(car => {
+      assert.equal(car.members.length, car.capacity);
+      assert.ok(car.driver);
+    });
+  }
+});
+
+test('ドライバーの家族はドライバーの車に載る', () => {
+  const master = createTeam();
+  for (let seed = 0; seed < 10; seed++) {
+    const { assignments } = allocate(master, createSelection(master), seed);
+    assert.equal(carOf(assignments, 'a2'), 'carA');
+    assert.equal(carOf(assignments, 'b2'), 'carB');
+  }
+});
+
+test('同乗ルール (必ず同じ車・同じ車にしない・車の指定) を守る', () => {
+  const master = createTeam({
+    constraints: [
+      { id: 'r1', type: 'together', subjectId: 'c2', targetType: 'member', targetId: 'd2' },
+      { id: 'r2', type: 'apart', subjectId: 'a2', targetType: 'member', targetId: 'e2' },
+      { id: 'r3', type: 'together', subjectId: 'f2', targetType: 'car', targetId: 'carC' }
+    ]
+  });
+  for (let seed = 0; seed < 20; seed++) {
+    const { assignments } = allocate(master, createSelection(master), seed);
+    assert.equal(carOf(assignments, 'c2'), carOf(assignments, 'd2'));
+    assert.notEqual(carOf(assignments, 'a2'), carOf(assignments, 'e2'));
+    assert.equal(carOf(assignments, 'f2'), 'carC');
+    assert.deepEqual(evaluateConstraints(assignments, master.constraints), []);
+  }
+});
+
+test('満たせない同乗ルールは定員を優先して違反として報告する', () => {
+  // Dカーは選んでいないため、F子 を Dカー に載せられない
+  const master = createTeam({ constraints: [{ id: 'r1', type: 'together', subjectId: 'f2', targetType: 'car', targetId: 'carD', memo: '練習' }] });
+  const { assignments } = allocate(master, createSelection(master), 1);
+  const violations = findConstraintViolations(assignments, master.constraints, master.cars);
+  assert.equal(violations.length, 1);
+  assert.match(violations[0], /^F子 は Dカー に乗る設定ですが、[ABC]カー になっています \(練習\)。$/);
+  assert.ok(membersOf(assignments, carOf(assignments, 'f2')).includes('f2'));
+});
+
+test('チャイルドシートが必要な子はチャイルドシートのある車に載る', () => {
+  const master = createTeam();
+  master.families[4].members[1].seatNeed = 'child';
+  master.cars.find(car => car.id === 'carC').childSeats = 1;
+  for (let seed = 0; seed < 10; seed++) {
+    const { assignments } = allocate(master, createSelection(master), seed);
+    assert.equal(carOf(assignments, 'e2'), 'carC');
+    assert.deepEqual(findSeatIssues(assignments), []);
+  }
+});
+
+test('重みが正の項目は同じ値の人を同じ車に集め、負の項目は分ける', () => {
+  const master = createTeam({
+    attributes: [
+      { key: 'grade', label: '学年', type: 'text', options: [], weight: 5, order: 0 },
+      { key: 'team', label: 'チーム分け', type: 'text', options: [], weight: -5, order: 1 }
+    ]
+  });
+  const { assignments } = allocate(master, createSelection(master), 7);
+  assert.equal(carOf(assignments, 'd2'), carOf(assignments, 'e2')); // 同じ 4年
+  assert.notEqual(carOf(assignments, 'f2'), carOf(assignments, 'g2')); // 同じ 赤
+  assert.ok(scorePlan(assignments, createAllocationContext(master)).affinity >= 5);
+});
+
+test('別便のメンバーは別便の車に、駐車場は優先順位と台数制限の順に入る', () => {
+  const master = createTeam();
+  const selection = createSelection(master, { excludedParticipantIds: ['g2'] });
+  selection.parkingInfo.lots = [
+    { id: 'lot1', name: '正門', limit: 1, priority: 1, memo: '', luggageOnly: false, familyNames: [] },
+    { id: 'lot2', name: '裏', limit: 0, priority: 2, memo: '', luggageOnly: false, familyNames: [] }
+  ];
+  const { assignments } = allocate(master, selection, 3);
+  const excluded = assignments[assignments.length - 1];
+  assert.equal(excluded.id, EXCLUDED_CAR_ID);
+  assert.deepEqual(excluded.members.map(p => p.id), ['g2']);
+  const cars = assignments.filter(car => car.id !== EXCLUDED_CAR_ID);
+  assert.equal(cars.filter(car => car.assignedParking === 'lot1').length, 1);
+  assert.equal(cars.filter(car => car.assignedParking === 'lot2').length, cars.length - 1);
+});
+
+test('前の行程の組み合わせを優先すると、同じ車の組が残る', () => {
+  const master = createTeam();
+  const previous = allocate(master, createSelection(master), 11).assignments;
+  const { input, assignments } = allocate(master, createSelection(master), 99, previous);
+  const pairs = buildRidePairs(previous);
+  assert.deepEqual(buildRidePairs(assignments), pairs);
+  assert.equal(scorePlan(assignments, createAllocationContext(master), input.previousPairs).stable, pairs.size);
+});
+
+test('乗車場所を回る順番は会場 (緯度・経度) へ向かう順になる', () => {
+  const master = createTeam({
+    pickupPoints: [
+      { id: 'pp1', name: '駅', lat: 35.70, lng: 139.70 },
+      { id: 'pp2', name: '校門', lat: 35.75, lng: 139.75 }
+    ],
+    venues: [{ id: 1, name: '市営グラウンド', lat: 35.80, lng: 139.80, lots: [] }]
+  });
+  const car = {
+    id: 'carA',
+    driver: { id: 'a1', pickupPointId: 'pp1' },
+    members: [{ id: 'x', name: '太郎', pickupPointId: 'pp2' }, { id: 'y', name: '次郎', pickupPointId: 'pp1' }]
+  };
+  const plan = planPickups(car, createAllocationContext({ ...master, groundName: '市営グラウンド' }));
+  assert.deepEqual(plan.stops.map(stop => stop.point.name), ['駅', '校門']);
+  assert.ok(plan.detourKm < 0.1);
+});
+
+test('入力の誤りはエラーとして返し、割り当てない', () => {
+  const master = createTeam();
+  assert.deepEqual(prepareAllocation(master, createSelection(master, { selectedCarIds: [] })).errors, ['ステップ2で車を1台以上選択してください。']);
+
+  const noDriver = createSelection(master);
+  noDriver.selectedDrivers = noDriver.selectedDrivers.filter(([carId]) => carId !== 'carB');
+  assert.deepEqual(prepareAllocation(master, noDriver).errors, ['Bカー のドライバーが選択されていません。']);
+
+  const absentDriver = createSelection(master);
+  absentDriver.selectedParticipantIds = absentDriver.selectedParticipantIds.filter(id => id !== 'b1');
+  assert.deepEqual(prepareAllocation(master, absentDriver).errors, ['ドライバー (B父) が参加者に含まれていません。']);
+
+  const twice = createSelection(master);
+  twice.selectedDrivers = twice.selectedDrivers.map(([carId, driverId]) => [carId, carId === 'carB' ? 'a1' : driverId]);
+  const result = prepareAllocation(master, twice);
+  assert.equal(result.input, null);
+  assert.ok(result.errors.includes('ドライバー (A父) が複数の車に割り当てられています。'));
+  assert.ok(result.errors.includes('A父 は Bカー の家族ではありません。マスターデータ管理で車の「運転できる人」に加えてください。'));
+});
+
+test('定員オーバーは警告にして、乗せられる分だけ載せる', () => {
+  const master = createTeam();
+  const { input, errors } = prepareAllocation(master, createSelection(master, { selectedCarIds: ['carA'] }));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(input.warnings, [`定員オーバーです。乗客 ${input.participantsToAssign.length}人 に対して定員は合計 4人 です。`]);
+  const assignments = runAllocation(input, 5, createAllocationContext(master));
+  assert.equal(assignments[0].members.filter(Boolean).length, 4);
+});
+
+test('その回に入力した項目の値・備考がマスターの値より優先される', () => {
+  const master = createTeam();
+  const selection = createSelection(master, { participantData: [['d2', { memo: '遅れて参加', grade: '6年' }]] });
+  const { input } = prepareAllocation(master, selection);
+  const d2 = input.participantsToAssign.find(p => p.id === 'd2');
+  assert.equal(d2.memo, '遅れて参加');
+  assert.equal(d2.attributes.grade, '6年');
+  assert.equal(d2.familyName, 'D家');
+});
@@ -0,0 +1,81 @@
+// backup.js (保存ファイルの暗号化・個人情報を除く) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptBackup, decryptBackup, isEncryptedBackup, openBackupFile, prepareBackupExport, redactMasterData, redactState } from '../backup.js';
+import { MASTER_FORMAT_VERSION, prepareMasterImport, prepareStateImport } from '../format.js';
+import { createAllocationContext, prepareAllocation, runAllocation } from '../allocation.js';
+import { createTeam, createSelection } from './fixtures.mjs';
+
+const FAST = { iterations: 1000 }; // テストでは PBKDF2 の回数を減らす
+
+function createMaster() {
+  const master = { formatVersion: MASTER_FORMAT_VERSION, ...createTeam() };
+  master.attributes.push({ key: 'school', label: '学校', type: 'text', options: [], weight: 1, order: 2 });
+  master.families[0].members[1].data = { grade: '1年', school: '東小', memo: '喘息の薬' };
+  master.constraints = [{ id: 'r1', type: 'apart', subjectId: 'a2', targetType: 'member', targetId: 'b2', memo: 'けんか中' }];
+  master.pickupPoints = [{ id: 'pp1', name: '駅', lat: null, lng: null, memo: '自宅前' }];
+  return master;
+}
+
+test('暗号化したファイルは同じパスフレーズで元に戻る', async () => {
+  const master = createMaster();
+  const file = await encryptBackup(master, 'パスフレーズ1234', 'master', FAST);
+  assert.ok(isEncryptedBackup(file));
+  assert.ok(!JSON.stringify(file).includes('喘息'));
+  assert.deepEqual(await decryptBackup(JSON.parse(JSON.stringify(file)), 'パスフレーズ1234', 'master'), master);
+  assert.deepEqual(await openBackupFile(master, 'master', ''), master); // 暗号化していないファイルはそのまま
+});
+
+test('パスフレーズの誤り・種類の違い・改ざんは読み込まない', async () => {
+  const file = await encryptBackup({ legs: [] }, 'correct horse', 'state', FAST);
+  await assert.rejects(decryptBackup(file, 'wrong horse', 'state'), /パスフレーズが違うか、ファイルが壊れています/);
+  await assert.rejects(decryptBackup(file, '', 'state'), /パスフレーズを入力してから/);
+  await assert.rejects(decryptBackup(file, 'correct horse', 'master'), /配車の状態のファイルです/);
+  await assert.rejects(decryptBackup({ ...file, kind: 'master' }, 'correct horse', 'master'), /パスフレーズが違うか/);
+  await assert.rejects(encryptBackup({}, 'short', 'state'), /8 文字以上/);
+  assert.match(prepareStateImport(file, [], []).errors[0], /パスフレーズで暗号化されたファイルです/);
+});
+
+test('個人情報を除いたマスターデータは備考・学校が空で、そのまま読み込める', async () => {
+  const master = createMaster();
+  const { data, filenameSuffix } = await prepareBackupExport(master, 'master', { redact: true });
+  assert.equal(filenameSuffix, '_redacted');
+  assert.deepEqual(data.families[0].members[1].data, { grade: '1年', school: '', memo: '' });
+  assert.equal(data.constraints[0].memo, '');
+  assert.equal(data.pickupPoints[0].memo, '');
+  assert.equal(master.families[0].members[1].data.memo, '喘息の薬'); // 元のデータは変えない
+  assert.deepEqual(prepareMasterImport(data).errors, []);
+  assert.deepEqual(redactMasterData(master), data);
+});
+
+test('進級でアーカイブした卒業生の備考・学校も除く', () => {
+  const master = createMaster();
+  master.families[4].archivedMembers = [{ id: 'e0', name: 'E姉', type: '選手', isFlagTarget: true, graduatedSeason: 2026, data: { grade: '6年', school: '西小', memo: '転居先あり' } }];
+  const redacted = redactMasterData(master);
+  assert.deepEqual(redacted.families[4].archivedMembers[0].data, { grade: '6年', school: '', memo: '' });
+  assert.equal(redacted.families[4].archivedMembers[0].name, 'E姉');
+  assert.equal(master.families[4].archivedMembers[0].data.school, '西小');
+  assert.equal(redacted.families[0].archivedMembers, undefined);
+  assert.deepEqual(prepareMasterImport(redacted).errors, []);
+});
+
+test('個人情報を除いた状態は、その回の入力・割り当て結果・編集履歴の備考と学校も空になる', () => {
+  const master = createMaster();
+  const selection = createSelection(master, { participantData: [['a2', { memo: '途中で帰る', school: '東小' }]] });
+  const { input } = prepareAllocation(master, selection);
+  const assignments = JSON.parse(JSON.stringify(runAllocation(input, 1, createAllocationContext(master))));
+  const { selectedParticipantIds, participantData, ...leg } = selection;
+  const state = {
+    selectedParticipantIds,
+    participantData,
+    legs: [{ id: 'leg0', name: '行き', ...leg, currentAssignments: assignments, allocationSeed: 1, history: { undo: [{ label: '割り当て実行', assignments }], redo: [] } }],
+    activeLegId: 'leg0'
+  };
+
+  const redacted = redactState(state, master.attributes);
+  const text = JSON.stringify(redacted);
+  ['途中で帰る', '東小', '喘息の薬'].forEach(word => assert.ok(!text.includes(word), word));
+  assert.ok(JSON.stringify(state).includes('途中で帰る'));
+  assert.ok(text.includes('1年')); // 学年は残す
+  assert.deepEqual(prepareStateImport(redacted, master.families, master.cars).errors, []);
+});
@@ -0,0 +1,43 @@
+// build.mjs (styles.css・アイコン・sw.js の版) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { extractCandidates, generateUtilities } from '../build/styles.mjs';
+import { renderPng, samePngPixels } from '../build/icons.mjs';
+import { cachedFiles, contentHash } from '../build.mjs';
+
+const BUILD = fileURLToPath(new URL('../build.mjs', import.meta.url));
+
+test('テンプレート文字列・classList のクラス名も拾う', () => {
+  const candidates = extractCandidates("el.className = `p-2 ${on ? 'bg-blue-100' : ''} md:col-span-3`; el.classList.add('hidden');");
+  ['p-2', 'bg-blue-100', 'md:col-span-3', 'hidden'].forEach(name => assert.ok(candidates.has(name), name));
+});
+
+test('Tailwind と同じ値の CSS を作り、画面幅の指定は後ろに置く', () => {
+  const { css, classes } = generateUtilities(['sm:text-sm', 'text-sm', 'w-1/3', 'min-h-[50px]', 'hover:bg-blue-100', 'not-a-class', 'bg-blue-1000']);
+  assert.deepEqual(classes, ['min-h-[50px]', 'w-1/3', 'text-sm', 'hover:bg-blue-100', 'sm:text-sm']);
+  assert.match(css, /\.w-1\\\/3 \{ width: 33\.333333% \}/);
+  assert.match(css, /\.min-h-\\\[50px\\\] \{ min-height: 50px \}/);
+  assert.match(css, /\.hover\\:bg-blue-100:hover \{ background-color: #dbeafe \}/);
+  assert.match(css, /@media \(min-width: 640px\) \{ \.sm\\:text-sm \{ font-size: 0\.875rem; line-height: 1\.25rem \} \}$/);
+});
+
+test('アイコンは指定の大きさの PNG になる', () => {
+  const png = renderPng(48);
+  assert.equal(png.toString('ascii', 1, 4), 'PNG');
+  assert.equal(png.readUInt32BE(16), 48);
+  assert.ok(samePngPixels(png, renderPng(48)));
+  assert.ok(!samePngPixels(png, renderPng(49)));
+});
+
+test('版のハッシュはキャッシュするファイルの内容だけで決まる', () => {
+  assert.deepEqual(cachedFiles("const urlsToCache = [\n  '.',\n  './index.html', // 画面\n  './a.js', './b.css'\n];"), ['index.html', 'a.js', 'b.css']);
+  assert.equal(contentHash({ 'a.js': 'x', 'b.js': 'y' }), contentHash({ 'b.js': 'y', 'a.js': 'x' }));
+  assert.notEqual(contentHash({ 'a.js': 'x' }), contentHash({ 'a.js': 'x2' }));
+});
+
+test('styles.css・アイコン・sw.js の版が今のファイルから作り直したものと同じ', () => {
+  const result = spawnSync(process.execPath, [BUILD, '--check'], { encoding: 'utf8', timeout: 120000 });
+  assert.equal(result.status, 0, result.stderr);
+});
@@ -0,0 +1,101 @@
+// cli.mjs の回帰テスト (node --test)。エクスポートした JSON の形で読み書きする
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MASTER_FORMAT_VERSION, STATE_FORMAT_VERSION, prepareStateImport } from '../format.js';
+import { createTeam, createSelection } from './fixtures.mjs';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+function createStateFile(master, legs) {
+  const selection = createSelection(master);
+  return {
+    formatVersion: STATE_FORMAT_VERSION,
+    selectedParticipantIds: selection.selectedParticipantIds,
+    participantData: [],
+    legs: legs.map((name, i) => {
+      const { selectedParticipantIds, participantData, ...leg } = createSelection(master);
+      return { id: `leg${i}`, name, ...leg, currentAssignments: [], allocationSeed: null, history: { undo: [], redo: [] } };
+    }),
+    activeLegId: 'leg0',
+    keepSeatingAcrossLegs: true
+  };
+}
+
+function runCli(files, args) {
+  const dir = mkdtempSync(join(tmpdir(), 'allocation-cli-'));
+  try {
+    Object.entries(files).forEach(([name, data]) => writeFileSync(join(dir, name), typeof data === 'string' ? data : JSON.stringify(data)));
+    const result = spawnSync(process.execPath, [CLI, ...args.map(arg => arg.replace(/^@/, `${dir}/`))], { encoding: 'utf8', timeout: 30000 });
+    let out = null;
+    try { out = JSON.parse(readFileSync(join(dir, 'out.json'), 'utf8')); } catch { /* 書き出していない */ }
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr, out };
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('全行程を割り当てた状態を書き出し、アプリで読み込める', () => {
+  const master = { formatVersion: MASTER_FORMAT_VERSION, ...createTeam() };
+  const state = createStateFile(master, ['行き', '帰り']);
+  const result = runCli({ 'master.json': master, 'state.json': state }, ['--master', '@master.json', '--state', '@state.json', '--seed', '42', '--out', '@out.json']);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stderr, /行程1「行き」: シード 42 \/ スコア/);
+  assert.match(result.stderr, /行程2「帰り」: シード 42 \/ スコア/);
+  assert.equal(result.out.legs.length, 2);
+  result.out.legs.forEach(leg => {
+    assert.equal(leg.allocationSeed, 42);
+    assert.equal(leg.currentAssignments.at(-1).id, 'excluded-car');
+    assert.equal(leg.history.undo.length, 1);
+  });
+  const imported = prepareStateImport(result.out, master.families, master.cars);
+  assert.deepEqual(imported.errors, []);
+  assert.deepEqual(imported.repairs, []);
+});
+
+test('同じシードなら同じ結果、--leg で1つの行程だけを割り当てる', () => {
+  const master = { formatVersion: MASTER_FORMAT_VERSION, ...createTeam() };
+  const state = createStateFile(master, ['行き', '帰り']);
+  const args = ['--master', '@master.json', '--state', '@state.json', '--seed', '7', '--out', '@out.json'];
+  const first = runCli({ 'master.json': master, 'state.json': state }, [...args, '--leg', '帰り']).out;
+  const second = runCli({ 'master.json': master, 'state.json': state }, [...args, '--leg', 'leg1']).out;
+  assert.deepEqual(first.legs[0].currentAssignments, []);
+  assert.deepEqual(first.legs[1].currentAssignments, second.legs[1].currentAssignments);
+});
+
+test('標準出力へ書き出せる', () => {
+  const master = { formatVersion: MASTER_FORMAT_VERSION, ...createTeam() };
+  const result = runCli({ 'master.json': master, 'state.json': createStateFile(master, ['行き']) }, ['--master', '@master.json', '--state', '@state.json']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(JSON.parse(result.stdout).legs[0].currentAssignments.length, 4);
+});
+
+test('選択の誤り・ファイルの誤りは終了コード 1 で、何も書き出さない', () => {
+  const master = { formatVersion: MASTER_FORMAT_VERSION, ...createTeam() };
+  const state = createStateFile(master, ['行き', '帰り']);
+  state.legs[1].selectedDrivers = [];
+  const result = runCli({ 'master.json': master, 'state.json': state }, ['--master', '@master.json', '--state', '@state.json', '--out', '@out.json']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /エラー: 行程2「帰り」: Aカー のドライバーが選択されていません。/);
+  assert.equal(result.out, null);
+
+  const swapped = runCli({ 'master.json': master, 'state.json': state }, ['--master', '@state.json', '--state', '@master.json']);
+  assert.equal(swapped.status, 1);
+  assert.match(swapped.stderr, /エラー: マスターデータ: 配車の状態ファイルです。/);
+
+  const broken = runCli({ 'master.json': '{', 'state.json': state }, ['--master', '@master.json', '--state', '@state.json']);
+  assert.equal(broken.status, 1);
+  assert.match(broken.stderr, /が JSON ではありません/);
+});
+
+test('引数の誤りは終了コード 2 で使い方を表示する', () => {
+  const result = runCli({}, ['--master', '@master.json']);
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /使い方: node cli\.mjs/);
+  assert.equal(runCli({}, ['--master', 'a', '--state', 'b', '--seed', '-1']).status, 2);
+});
@@ -0,0 +1,62 @@
+// テスト用のマスターデータと行程の選択 (状態ファイルの形)
+// 家族 A〜C は保護者 (ドライバー) と選手、D〜G は選手だけ。車は A〜C を使い、Dカーはマスターにあるが選ばない。
+
+const member = (id, name, type, values = {}) => ({ id, name, type, isFlagTarget: type === '選手', data: {}, ...values });
+const player = (id, name, data) => member(id, name, '選手', { data });
+const parent = (id, name) => member(id, name, '保護者', { canDrive: true });
+
+/**
+ * マスターデータ (families / cars / constraints / attributes / pickupPoints / venues)。
+ * @param {Object} [overrides] - 上書きする値
+ * @returns {Object}
+ */
+export function createTeam(overrides = {}) {
+  return {
+    families: [
+      { familyName: 'A家', order: 0, members: [parent('a1', 'A父'), player('a2', 'A子', { grade: '1年' })] },
+      { familyName: 'B家', order: 1, members: [parent('b1', 'B父'), player('b2', 'B子', { grade: '2年' })] },
+      { familyName: 'C家', order: 2, members: [parent('c1', 'C父'), player('c2', 'C子', { grade: '3年' })] },
+      { familyName: 'D家', order: 3, members: [player('d2', 'D子', { grade: '4年' })] },
+      { familyName: 'E家', order: 4, members: [player('e1', 'E兄', { grade: '6年' }), player('e2', 'E子', { grade: '4年' })] },
+      { familyName: 'F家', order: 5, members: [player('f2', 'F子', { grade: '5年', team: '赤' })] },
+      { familyName: 'G家', order: 6, members: [player('g2', 'G子', { grade: '6年', team: '赤' })] }
+    ],
+    cars: [
+      { id: 'carA', name: 'Aカー', familyName: 'A家', baseCapacity: 5 },
+      { id: 'carB', name: 'Bカー', familyName: 'B家', baseCapacity: 5 },
+      { id: 'carC', name: 'Cカー', familyName: 'C家', baseCapacity: 5 },
+      { id: 'carD', name: 'Dカー', familyName: 'D家', baseCapacity: 5 }
+    ],
+    constraints: [],
+    attributes: [
+      { key: 'grade', label: '学年', type: 'text', options: [], weight: 1, order: 0 },
+      { key: 'team', label: 'チーム分け', type: 'text', options: [], weight: 0, order: 1 }
+    ],
+    pickupPoints: [],
+    venues: [],
+    ...overrides
+  };
+}
+
+/**
+ * 全員が参加し、A〜C の車を A〜C の保護者が運転する行程の選択。
+ * @param {Object} master - createTeam の戻り値
+ * @param {Object} [overrides] - 上書きする値
+ * @returns {Object}
+ */
+export function createSelection(master, overrides = {}) {
+  return {
+    selectedParticipantIds: master.families.flatMap(family => family.members.map(m => m.id)),
+    participantData: [],
+    selectedCarIds: ['carA', 'carB', 'carC'],
+    selectedDrivers: [['carA', 'a1'], ['carB', 'b1'], ['carC', 'c1']],
+    selectedLuggage: [],
+    excludedParticipantIds: [],
+    parkingInfo: {
+      groundName: '市営グラウンド',
+      distanceKm: 0,
+      lots: [{ id: 'lot1', name: '正門', limit: 0, priority: 1, memo: '', luggageOnly: false, familyNames: [] }]
+    },
+    ...overrides
+  };
+}
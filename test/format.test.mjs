@@ -0,0 +1,23 @@
+// format.js (保存データの形式) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STATE_FORMAT_VERSION, cloneLegsForSave, prepareStateImport } from '../format.js';
+import { createAllocationContext, prepareAllocation, runAllocation } from '../allocation.js';
+import { createTeam, createSelection } from './fixtures.mjs';
+
+test('割り当て後の行程は画面の要素を除いて保存でき (structuredClone)、読み込める', () => {
+  const master = createTeam();
+  const { selectedParticipantIds, participantData, ...selection } = createSelection(master);
+  const { input } = prepareAllocation(master, { selectedParticipantIds, participantData, ...selection });
+  const assignments = runAllocation(input, 1, createAllocationContext(master));
+  // 画面 (index.html の applyPlan) と同じく、車に表示中の要素を付ける
+  assignments.forEach(car => { car.element = { id: `car-result-${car.id}`, focus() {} }; });
+  const legs = [{ id: 'leg0', name: '行き', ...selection, currentAssignments: assignments, allocationSeed: 1, history: { undo: [], redo: [] } }];
+  assert.throws(() => structuredClone(legs), { name: 'DataCloneError' });
+
+  const state = { formatVersion: STATE_FORMAT_VERSION, selectedParticipantIds, participantData, legs: cloneLegsForSave(legs), activeLegId: 'leg0' };
+  const cloned = structuredClone(state);
+  assert.ok(cloned.legs[0].currentAssignments.every(car => !('element' in car)));
+  assert.ok(legs[0].currentAssignments[0].element); // 画面の行程は変えない
+  assert.deepEqual(prepareStateImport(cloned, master.families, master.cars).errors, []);
+});
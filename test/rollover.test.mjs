@@ -0,0 +1,47 @@
+// rollover.js (進級・卒業) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatGrade, parseGrade, planRollover } from '../rollover.js';
+import { isAttributeTypeLocked } from '../attributes.js';
+import { createTeam } from './fixtures.mjs';
+
+test('文字の学年は書き方を保って1つ上げ、最上級生は卒業にする', () => {
+  const families = [{ familyName: 'A家', members: [
+    { id: 'a1', name: 'A太', data: { grade: '５年生' } },
+    { id: 'a2', name: 'A花', data: { grade: '小6' } },
+    { id: 'a3', name: 'A次', data: { grade: '年長' } },
+    { id: 'a4', name: 'A父', data: {} }
+  ] }];
+  const { families: next, promotions, graduates, unparsed } = planRollover(families, { season: 2027 });
+  assert.deepEqual(promotions.map(p => [p.from, p.to]), [['５年生', '6年生'], ['年長', '1年']]);
+  assert.deepEqual(graduates.map(g => g.member.id), ['a2']);
+  assert.deepEqual(unparsed, []);
+  assert.deepEqual(next[0].archivedMembers.map(m => [m.id, m.data.grade, m.graduatedSeason]), [['a2', '卒業', 2027]]);
+  assert.equal(families[0].members[0].data.grade, '５年生'); // 元のデータは変えない
+});
+
+test('学年が数値・チェックでも止まらず、数値はそのまま学年として扱う', () => {
+  assert.equal(parseGrade(5), 5);
+  assert.equal(parseGrade(2.5), null);
+  assert.equal(parseGrade(true), null);
+  assert.equal(formatGrade(6, 5), 6);
+
+  const families = [{ familyName: 'A', members: [
+    { id: 'a', name: 'x', data: { grade: 5 } },
+    { id: 'b', name: 'y', data: { grade: 6 } },
+    { id: 'c', name: 'z', data: { grade: 0 } },
+    { id: 'd', name: 'w', data: { grade: true } },
+    { id: 'e', name: 'v', data: { grade: false } }
+  ] }];
+  const { families: next, promotions, graduates, unparsed } = planRollover(families, { season: 2027 });
+  assert.deepEqual(promotions.map(p => [p.member.id, p.from, p.to]), [['a', 5, 6], ['c', 0, 1]]);
+  assert.deepEqual(graduates.map(g => g.member.id), ['b']);
+  assert.deepEqual(unparsed.map(u => u.member.id), ['d']);
+  assert.deepEqual(next[0].members.map(m => m.data.grade), [6, 1, true, false]);
+});
+
+test('学年の項目は種類を変えられない', () => {
+  const [grade, team] = createTeam().attributes;
+  assert.ok(isAttributeTypeLocked(grade));
+  assert.ok(!isAttributeTypeLocked(team));
+});
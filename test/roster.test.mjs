@@ -0,0 +1,73 @@
+// roster.js (名簿・車の CSV 入出力) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCarRows, buildMemberRows, CAR_FIELDS, diffCars, diffMembers, getMemberFields, guessColumnMapping } from '../roster.js';
+import { getSeatPlan } from '../seats.js';
+import { createTeam } from './fixtures.mjs';
+
+function createMaster() {
+  const master = createTeam();
+  master.attributes.push(
+    { key: 'attr1', label: '背番号', type: 'number', options: [], weight: 0, order: 2 },
+    { key: 'attr2', label: '送迎可', type: 'boolean', options: [], weight: 0, order: 3 }
+  );
+  master.families[5].members[0].data = { grade: '5年', team: '赤', attr1: 10, attr2: true };
+  return master;
+}
+
+test('名簿の列は参加者の項目から作り、保存した CSV を読み込むと変更なしになる', () => {
+  const master = createMaster();
+  const [header, ...rows] = buildMemberRows(master.families, master.attributes);
+  assert.deepEqual(header, ['家族', 'ID', '名前', 'タイプ', '同乗優先', '学年', 'チーム分け', '背番号', '送迎可', '別名・よみ']);
+  assert.deepEqual(rows.find(row => row[1] === 'f2'), ['F家', 'f2', 'F子', '選手', '○', '5年', '赤', 10, '○', '']);
+
+  const mapping = guessColumnMapping(header, getMemberFields(master.attributes));
+  const diff = diffMembers(rows.map(row => row.map(String)), mapping, master.families, 'merge', master.attributes);
+  assert.deepEqual([diff.adds.length, diff.updates.length, diff.warnings], [0, 0, []]);
+});
+
+test('項目の列の値を項目の種類に合わせて取り込み、読めない数値は変更しない', () => {
+  const master = createMaster();
+  const header = ['家族', '名前', 'チーム分け', '背番号', '送迎可'];
+  const rows = [['F家', 'F子', '', '１２', '×'], ['G家', 'G子', '白', 'なし', '○'], ['H家', 'H子', '青', '7', '']];
+  const diff = diffMembers(rows, guessColumnMapping(header, getMemberFields(master.attributes)), master.families, 'merge', master.attributes);
+
+  const f2 = diff.families.find(f => f.familyName === 'F家').members[0];
+  assert.deepEqual(f2.data, { grade: '5年', attr1: 12, attr2: false }); // 空にした項目は保存しない
+  const g2 = diff.families.find(f => f.familyName === 'G家').members[0];
+  assert.deepEqual(g2.data, { grade: '6年', team: '白', attr2: true });
+  assert.deepEqual(diff.adds[0].member.data, { team: '青', attr1: 7 });
+  assert.deepEqual(diff.warnings, ['3行目: 背番号「なし」は数値として読めません。背番号は変更しません。']);
+  assert.equal(master.families[5].members[0].data.attr1, 10); // 元のデータは変えない
+});
+
+test('項目の一覧が無いときは学年・学校の列を使う', () => {
+  const master = createTeam();
+  master.families[0].members[1].data.school = '東小';
+  const [header, , second] = buildMemberRows(master.families);
+  assert.deepEqual(header, ['家族', 'ID', '名前', 'タイプ', '同乗優先', '学年', '学校', '別名・よみ']);
+  assert.deepEqual(second.slice(5, 7), ['1年', '東小']);
+  const mapping = guessColumnMapping(['family', 'name', 'school'], getMemberFields([]));
+  const diff = diffMembers([['A家', 'A子', '西小']], mapping, master.families);
+  assert.deepEqual(diff.updates[0].changes, [{ label: '学校', from: '東小', to: '西小' }]);
+});
+
+test('車の定員を列ごとの席数の合計と違う値にすると、列ごとの席数を消して定員を反映する', () => {
+  const cars = createTeam().cars;
+  cars[0] = { ...cars[0], baseCapacity: 7, seatRows: [2, 3, 2] };
+  cars[1] = { ...cars[1], seatRows: [2, 3] };
+  const [header, ...rows] = buildCarRows(cars);
+  assert.deepEqual(rows[0], ['carA', 'Aカー', 'A家', 7]);
+  const mapping = guessColumnMapping(header, CAR_FIELDS);
+  assert.equal(diffCars(rows.map(row => row.map(String)), mapping, cars).updates.length, 0);
+
+  const diff = diffCars([['carA', 'Aカー', 'A家', '5'], ['carB', 'Bカー', 'B家', '5']], mapping, cars);
+  assert.deepEqual(diff.updates.map(item => item.changes), [[
+    { label: '定員', from: '7', to: '5' },
+    { label: '列ごとの席数', from: '2-3-2', to: '(空)' }
+  ]]);
+  assert.equal(diff.warnings.length, 1);
+  assert.equal(getSeatPlan(diff.cars[0]).baseCapacity, 5); // 取り込んだ定員が使われる
+  assert.deepEqual(diff.cars[1].seatRows, [2, 3]);
+  assert.deepEqual(cars[0].seatRows, [2, 3, 2]); // 元のデータは変えない
+});
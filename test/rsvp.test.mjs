@@ -0,0 +1,13 @@
+// rsvp.js (出欠の取り込み) のテスト (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRsvp } from '../rsvp.js';
+
+test('見出しが「参加者,出欠」でも、出欠は名前の列ではなく出欠の列から読む', () => {
+  assert.deepEqual(parseRsvp('参加者,出欠\n斗愛,×\n湊多,○').map(entry => [entry.name, entry.attending]), [['斗愛', false], ['湊多', true]]);
+});
+
+test('見出しは完全一致を先に探し、同じ列を2つの項目に使わない', () => {
+  const entries = parseRsvp('参加者\t車出し\t参加\n斗愛\t○\t不参加\n湊多\t\t参加');
+  assert.deepEqual(entries.map(entry => [entry.name, entry.attending, entry.canDrive]), [['斗愛', false, true], ['湊多', true, false]]);
+});
@@ -0,0 +1,115 @@
+// venues.js: 会場 (グラウンド) の一覧のモデル
+// 会場ごとに住所・地図リンク・集合場所・開門時刻・備考と、駐車場 (parking.js の lots) の既定値を持つ。
+// 緯度・経度 (lat / lng) を登録すると、乗車場所を回る順番 (pickups.js) の目的地になる。
+// 件数制限はない。DB への保存は db.js、一覧の編集は venues.html、ステップ4 での呼び出しは index.html で行う。
+
+import { lotsFromLegacy, normalizeParkingLots } from './parking.js';
+import { hasLatLng } from './pickups.js';
+
+/**
+ * 会場を1つ作ります。
+ * @param {Object} [values] - 上書きする値
+ * @returns {{ name: string, address: string, mapUrl: string, meetingPoint: string, gateTime: string, notes: string, distanceKm: number, lots: Array, updatedAt: number }}
+ *   gateTime: 開門時刻 ('HH:MM'、未定なら空文字) / distanceKm: 片道の距離 (0 = 未入力)
+ *   lat・lng (緯度・経度) は登録したときだけ持つ
+ */
+export function createVenue(values = {}) {
+  return {
+    name: '',
+    address: '',
+    mapUrl: '',
+    meetingPoint: '',
+    gateTime: '',
+    notes: '',
+    distanceKm: 0,
+    updatedAt: Date.now(),
+    ...values,
+    lots: normalizeParkingLots(values.lots) // 無ければ空の駐車場1つ
+  };
+}
+
+/**
+ * 会場の欠けた値・型を補います。(保存データの読み込み用)
+ * @param {Object} venue - 会場
+ * @returns {Object} 会場
+ */
+export function normalizeVenue(venue) {
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const gateTime = text(venue.gateTime);
+  const { lat, lng, ...rest } = venue;
+  return createVenue({
+    ...rest,
+    ...(hasLatLng(venue) ? { lat: Number(lat), lng: Number(lng) } : {}),
+    name: text(venue.name),
+    address: text(venue.address),
+    mapUrl: text(venue.mapUrl),
+    meetingPoint: text(venue.meetingPoint),
+    gateTime: /^\d{1,2}:\d{2}$/.test(gateTime) ? gateTime.padStart(5, '0') : '',
+    notes: text(venue.notes),
+    distanceKm: Math.max(0, parseFloat(venue.distanceKm) || 0),
+    updatedAt: Number(venue.updatedAt) || 0
+  });
+}
+
+/**
+ * 旧形式の保存済み駐車場 (savedParking) を会場の配列に変換します。
+ * 同じグラウンド名が複数ある場合は最新 (timestamp が大きいもの) を残します。
+ * @param {Array} records - 保存済み駐車場 { groundName, distanceKm, lots | parkingInfo, timestamp }
+ * @returns {Array} 会場の配列 (id なし)
+ */
+export function venuesFromSavedParking(records) {
+  const latest = new Map(); // 会場名 -> 保存済み駐車場
+  records.forEach(record => {
+    const name = (record.groundName || '').trim();
+    if (!name) return;
+    const current = latest.get(name);
+    if (!current || (record.timestamp || 0) > (current.timestamp || 0)) latest.set(name, record);
+  });
+  return [...latest.entries()].map(([name, record]) => normalizeVenue({
+    name,
+    distanceKm: record.distanceKm,
+    lots: record.lots || lotsFromLegacy({ designated: record.parkingInfo || {} }),
+    updatedAt: record.timestamp
+  }));
+}
+
+/**
+ * 名前が一致する会場を探します。(前後の空白・全角半角の違いは無視)
+ * @param {Array} venues - 会場の配列
+ * @param {string} name - 会場名
+ * @returns {Object|undefined}
+ */
+export function findVenueByName(venues, name) {
+  const key = normalizeName(name);
+  if (!key) return undefined;
+  return venues.find(venue => normalizeName(venue.name) === key);
+}
+
+/**
+ * キーワードで会場を絞り込みます。(名前・住所・集合場所・備考のいずれかに含まれるもの)
+ * @param {Array} venues - 会場の配列
+ * @param {string} keyword - キーワード (空なら全件)
+ * @returns {Array}
+ */
+export function searchVenues(venues, keyword) {
+  const key = normalizeName(keyword);
+  if (!key) return venues;
+  return venues.filter(venue => [venue.name, venue.address, venue.meetingPoint, venue.notes]
+    .some(text => normalizeName(text).includes(key)));
+}
+
+/**
+ * 会場の地図リンクを返します。地図 URL が無ければ住所 (無ければ会場名) で Google マップを検索するリンクにします。
+ * http(s) 以外の URL は使いません。
+ * @param {Object} venue - 会場
+ * @returns {string} リンク (作れなければ空文字)
+ */
+export function getVenueMapLink(venue) {
+  if (/^https?:\/\//i.test(venue.mapUrl || '')) return venue.mapUrl;
+  const query = venue.address || venue.name;
+  return query ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}` : '';
+}
+
+function normalizeName(text) {
+  return (text || '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}